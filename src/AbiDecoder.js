@@ -0,0 +1,64 @@
+/**
+ * Registry of contract ABIs turning call data back into method names and named arguments.
+ * Calls anchoring a profile (setFinancialData and the identity creations) are recognized as IPFS profile references
+ *
+ * @class AbiDecoder
+ */
+class AbiDecoder {
+
+   /**
+    * @param    {Object}   web3    web3 instance. Its abi coder and utils are used
+    */
+    constructor(web3) {
+        this.web3 = web3
+        this.methods = {}
+    }
+
+   /**
+    * Registers a contract's methods. Methods already registered under the same selector are replaced
+    *
+    * @param    {String}     name    contract's name, e.g. Token
+    * @param    {Object[]}   abi     contract's abi
+    * @return   {AbiDecoder}         the decoder
+    */
+    addAbi(name, abi) {
+        abi.filter(item => item.type === 'function').forEach(abiItem => {
+            this.methods[this.web3.eth.abi.encodeFunctionSignature(abiItem)] = { contract: name, abiItem }
+        })
+        return this
+    }
+
+   /**
+    * Decodes a call's data
+    *
+    * @param    {String}   data    call data
+    * @return   {Object}           { contract, name, signature, params, profileHash } with the arguments by name,
+    *                              or null when no registered abi holds the method. profileHash is null unless the call anchors a profile
+    */
+    decode(data) {
+        if(!data || data.length < 10) return null
+        const method = this.methods[data.slice(0, 10).toLowerCase()]
+        if(!method) return null
+        const { contract, abiItem } = method
+        let decoded
+        try {
+            decoded = this.web3.eth.abi.decodeParameters(abiItem.inputs, `0x${data.slice(10)}`)
+        }catch(err){
+            return null
+        }
+        let params = {}
+        abiItem.inputs.forEach((param, i) => { params[param.name ? param.name : i] = decoded[i] })
+        const profileParam = abiItem.inputs.find(param => PROFILE_PARAMS.indexOf(param.name) >= 0)
+        return {
+            contract,
+            name: abiItem.name,
+            signature: `${abiItem.name}(${abiItem.inputs.map(param => param.type).join(',')})`,
+            params,
+            profileHash: profileParam && params[profileParam.name] ? this.web3.utils.hexToAscii(params[profileParam.name]) : null
+        }
+    }
+}
+
+const PROFILE_PARAMS = ['_financialData', '_identityData']
+
+export { AbiDecoder }
@@ -0,0 +1,157 @@
+import { EventEmitter } from 'events'
+import { IdentityError, AuthTimeoutError, StorageError, ValidationError } from './errors'
+
+/**
+ * Authorization handshake started by initEccAuth. Watches the credentials answering its challenge with a backoff
+ * while someone waits for them and emits `pending`, `authorized`, `rejected` and `expired`.
+ * Answered challenges are remembered by the Api's nonceStore option. The default one lives in memory: it forgets them
+ * on restart and other processes don't see them, so give every Api checking the same relying party's challenges a shared store
+ *
+ * @example
+ * const session = await api.initEccAuth([{ label: 'email' }], true, { identity, domain: 'login.example.com' })
+ * session.on('pending', ({ attempt, delay, signers }) => console.log(`not authorized yet, next check in ${delay}ms`))
+ * const { data } = await session.wait({ timeout: 120000, signal: controller.signal })
+ * await session.close()
+ *
+ * @class AuthSession
+ */
+class AuthSession extends EventEmitter {
+
+   /**
+    * @param   {Api}        api                    Api instance
+    * @param   {String}     identity               identity's contract address
+    * @param   {Object}     challenge              auth challenge the identity owner signs. Its public key is the auth seed
+    * @param   {Object[]}   authNodes              list of requested data
+    * @param   {String}     privateKey             ecc auth private key. Used to decrypt the credentials
+    * @param   {Object}     [backoff={}]           delays between checks
+    * @param   {Integer}    backoff.initialDelay   first delay in ms
+    * @param   {Number}     backoff.factor         delay multiplier
+    * @param   {Integer}    backoff.maxDelay       longest delay in ms
+    */
+    constructor(api, identity, challenge, authNodes, privateKey, backoff = {}) {
+        super()
+        this.api = api
+        this.identity = identity
+        this.challenge = challenge
+        this.authNodes = authNodes
+        this.publicKey = challenge.publicKey
+        this.privateKey = privateKey
+        this.backoff = { ...DEFAULT_BACKOFF, ...backoff }
+        this.state = 'pending'
+        this.result = null
+        this.attempts = 0
+        this.timer = null
+        this.checking = false
+        this.waiters = []
+    }
+
+   /**
+    * Waits for the authorization. Credentials are only checked while someone is waiting
+    *
+    * @param   {Object}        [options={}]
+    * @param   {Integer}       [options.timeout=0]       ms until the session expires. 0 waits forever
+    * @param   {AbortSignal}   [options.signal=null]     stops waiting when aborted
+    * @returns {Promise<Object, Error>}                   A promise that resolves with { authorized, signer, signers, data } or rejects with
+    *                                                    an AuthTimeoutError when it or the challenge expired, or the check's error when rejected
+    */
+    wait({ timeout = 0, signal = null } = {}) {
+        if(this.state === 'authorized') return Promise.resolve(this.result)
+        if(this.state !== 'pending') return Promise.reject(this.result)
+        if(!this.identity) return Promise.reject(new ValidationError('An identity is required to wait for its authorization'))
+        if(signal && signal.aborted) return Promise.reject(abortError(this.identity))
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, timer: null, onAbort: null }
+            if(timeout > 0) {
+                waiter.timer = setTimeout(() => {
+                    this.settle('expired', new AuthTimeoutError(`Authorization of ${this.identity} expired after ${timeout}ms`, { identity: this.identity }))
+                }, timeout)
+            }
+            if(signal) {
+                waiter.onAbort = () => {
+                    this.release(waiter)
+                    reject(abortError(this.identity))
+                    if(this.waiters.length === 0) this.stop()
+                }
+                signal.addEventListener('abort', waiter.onAbort)
+            }
+            this.waiters.push(waiter)
+            if(!this.timer && !this.checking) this.check()
+        })
+    }
+
+   /**
+    * Stops checking, rejects the pending waits and removes the auth seed's directory from the storage
+    *
+    * @returns {Promise<Boolean, Error>}   A promise that resolves when the session is torn down
+    */
+    async close() {
+        this.settle('closed', new IdentityError('Authorization session was closed', { identity: this.identity }))
+        this.stop()
+        this.removeAllListeners()
+        try {
+            await this.api.ipfsService.rmPath(`/${this.publicKey}`)
+        }catch(err){
+            if(!err.notFound) throw err
+        }
+        return true
+    }
+
+    async check() {
+        this.timer = null
+        this.checking = true
+        let auth
+        try {
+            auth = await this.api.checkAuthorized(this.identity, this.challenge, this.privateKey)
+        }catch(err){
+            this.checking = false
+            if(err instanceof AuthTimeoutError) this.settle('expired', err)
+            else if(err instanceof StorageError) this.schedule({ error: err })
+            else this.settle('rejected', err)
+            return
+        }
+        this.checking = false
+        if(auth.authorized) this.settle('authorized', auth)
+        else if(auth.signer && auth.signers.length === 0) 
+            this.settle('rejected', new IdentityError(`Credentials were not signed by an owner of ${this.identity}`, { identity: this.identity, signer: auth.signer }))
+        else this.schedule({ signers: auth.signers ? auth.signers : [], required: auth.required })
+    }
+
+    schedule(details = {}) {
+        if(this.state !== 'pending' || this.waiters.length === 0) return
+        const delay = Math.min(this.backoff.initialDelay * Math.pow(this.backoff.factor, this.attempts), this.backoff.maxDelay)
+        this.attempts++
+        this.emit('pending', { attempt: this.attempts, delay, ...details })
+        this.timer = setTimeout(() => this.check(), delay)
+    }
+
+    settle(state, result) {
+        if(this.state !== 'pending') return
+        this.state = state
+        this.result = result
+        this.stop()
+        const waiters = this.waiters
+        waiters.forEach(waiter => {
+            this.release(waiter)
+            if(state === 'authorized') waiter.resolve(result)
+            else waiter.reject(result)
+        })
+        this.emit(state, result)
+    }
+
+    release(waiter) {
+        this.waiters = this.waiters.filter(current => current !== waiter)
+        if(waiter.timer) clearTimeout(waiter.timer)
+        if(waiter.onAbort) waiter.signal.removeEventListener('abort', waiter.onAbort)
+    }
+
+    stop() {
+        if(this.timer) clearTimeout(this.timer)
+        this.timer = null
+    }
+}
+
+const DEFAULT_BACKOFF = { initialDelay: 1000, factor: 1.5, maxDelay: 10000 }
+
+const abortError = identity => new IdentityError(`Authorization wait of ${identity} was aborted`, { identity })
+
+export { AuthSession }
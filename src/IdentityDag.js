@@ -1,124 +1,450 @@
 import { Crypto } from './utils/Crypto'
+import { NodeNotFoundError, ValidationError } from './errors'
+
+/**
+ * Nodes are addressed either by label, matching the only node with that label,
+ * or by path, e.g. "root/contact/address". Labels are unique among siblings, so a path always
+ * identifies a single node. A label held by several nodes is ambiguous and must be given as a path.
+ */
+const PATH_SEPARATOR = '/'
 
 class IdentityDag {
    /**
     * Initializes the tree structure with its root node
     *
-    * @return  {Object}         tree's root node                           
+    * @return  {Object}         tree's root node
     */
-    static initTree() { 
+    static initTree() {
         return { label : 'root', hash : null }
     }
 
    /**
-    * Inserts a new node under a known parent node by applying a depth-first search
+    * Inserts a new node under a known parent node
     *
-    * @param   {Object}         node         tree's node with the target data
-    * @param   {String}         parentLabel  parent label
+    * @param   {Object}         node         tree's root node
+    * @param   {String}         parentLabel  parent label or path
     * @param   {String}         label        new node's label
-    * @param   {String}         hash         new node's data
-    * @return  {Object}                      the target node with the new node if the parent exists                                              
+    * @param   {String}         data         new node's data location
+    * @param   {String}         hash         new node's data hash
+    * @return  {Object}                      the tree's root node with the new node
     */
     static insertNode(node, parentLabel, label, data, hash) {
-        if(node.label === parentLabel) {
-            const newNode = { label, data, hash }
-            if(node.childrens && node.childrens.length > 0) node.childrens.push(newNode)
-            else node.childrens = [newNode]
-            node = renewNodeHash(node)
-            return node
-        }
-        else if(node.childrens && node.childrens.length > 0) {
-            for(let i = 0; i < node.childrens.length; i++){
-                let result = this.insertNode(node.childrens[i], parentLabel, label, data, hash)
-                if(result) {
-                    node = renewNodeHash(node)
-                    return node
-                }
-            }
-        }
-        return null  
+        validateLabel(label)
+        const nodes = resolvePath(node, parentLabel)
+        const parent = nodes[nodes.length - 1]
+        if(parent.childrens && parent.childrens.some(child => child.label === label))
+            throw new ValidationError(`Node ${joinPath(nodes.concat({ label }))} already exists`, { label })
+        const newNode = { label, data, hash }
+        if(parent.childrens && parent.childrens.length > 0) parent.childrens.push(newNode)
+        else parent.childrens = [newNode]
+        renewPathHashes(nodes)
+        return node
     }
 
    /**
     * Depth-first search
     *
     * @param   {Object}         node         tree's node that may contain the target node
-    * @param   {String}         search       target node's label
-    * @return  {Object}                      the desired node with its childrens if it exists                                              
+    * @param   {String}         search       target node's label or path
+    * @return  {Object}                      the desired node with its childrens if it exists. Throws a ValidationError when the label is ambiguous
     */
     static dfs(node, search) {
-        if(node.label === search) return node
-        else if(node.childrens && node.childrens.length > 0) {
-            for(let i = 0; i < node.childrens.length; i++){
-                let result = this.dfs(node.childrens[i], search)
-                if(result) return result
-            }
-        }
-        return null  
+        const nodes = findPath(node, search)
+        return nodes ? nodes[nodes.length - 1] : null
     }
 
    /**
-    * Updates a node by applying a depth-first search
+    * Gets a node that must exist and be unambiguous
     *
-    * @param   {Object}         node         tree's node that may contain the target node
-    * @param   {String}         search       target node's label
-    * @return  {Object}                      the desired node with its childrens if it exists                                              
+    * @param   {Object}         node         tree's root node
+    * @param   {String}         search       target node's label or path
+    * @return  {Object}                      the desired node with its childrens
+    */
+    static getNode(node, search) {
+        const nodes = resolvePath(node, search)
+        return nodes[nodes.length - 1]
+    }
+
+   /**
+    * Builds the full path of a node
+    *
+    * @param   {Object}         node         tree's root node
+    * @param   {String}         search       target node's label or path
+    * @return  {String}                      node's path, e.g. "root/contact/address"
+    */
+    static pathOf(node, search) {
+        return joinPath(resolvePath(node, search))
+    }
+
+   /**
+    * Updates a leaf
+    *
+    * @param   {Object}         node         tree's root node
+    * @param   {String}         search       target leaf's label or path
+    * @param   {String}         data         leaf's new data location
+    * @param   {String}         hash         leaf's new data hash
+    * @return  {Object}                      the tree's root node
     */
     static updateNode(node, search, data, hash) {
-        if(node.label === search && (!node.childrens || node.childrens.length === 0)) {
-            node.data = data;
-            node.hash = hash;
-            return node
+        const nodes = resolvePath(node, search)
+        const target = nodes[nodes.length - 1]
+        if(target.childrens && target.childrens.length > 0) throw new ValidationError(`Node ${joinPath(nodes)} is not a leaf`, { label: search })
+        target.data = data
+        target.hash = hash
+        renewPathHashes(nodes.slice(0, -1))
+        return node
+    }
+
+   /**
+    * Removes a node with its childrens
+    *
+    * @param   {Object}         node         tree's root node
+    * @param   {String}         search       target node's label or path
+    * @return  {Object}                      the tree's root node
+    */
+    static removeNode(node, search) {
+        const nodes = resolvePath(node, search)
+        if(nodes.length === 1) throw new ValidationError('The root node cannot be removed', { label: search })
+        const parent = nodes[nodes.length - 2]
+        parent.childrens.splice(parent.childrens.indexOf(nodes[nodes.length - 1]), 1)
+        renewPathHashes(nodes.slice(0, -1))
+        return node
+    }
+
+   /**
+    * Moves a node with its childrens under another parent
+    *
+    * @param   {Object}         node         tree's root node
+    * @param   {String}         search       target node's label or path
+    * @param   {String}         parentLabel  new parent's label or path
+    * @return  {Object}                      the tree's root node
+    */
+    static moveNode(node, search, parentLabel) {
+        const nodes = resolvePath(node, search)
+        if(nodes.length === 1) throw new ValidationError('The root node cannot be moved', { label: search })
+        const target = nodes[nodes.length - 1]
+        const parentNodes = resolvePath(node, parentLabel)
+        if(parentNodes.indexOf(target) >= 0) throw new ValidationError(`Node ${joinPath(nodes)} cannot be moved under itself`, { label: search })
+        const parent = parentNodes[parentNodes.length - 1]
+        if(parent.childrens && parent.childrens.some(child => child.label === target.label))
+            throw new ValidationError(`Node ${joinPath(parentNodes.concat(target))} already exists`, { label: search })
+        const oldParent = nodes[nodes.length - 2]
+        oldParent.childrens.splice(oldParent.childrens.indexOf(target), 1)
+        renewPathHashes(nodes.slice(0, -1))
+        if(parent.childrens && parent.childrens.length > 0) parent.childrens.push(target)
+        else parent.childrens = [target]
+        renewPathHashes(parentNodes)
+        return node
+    }
+
+   /**
+    * Generates an inclusion proof of a leaf. Each step holds the hashes of the siblings placed
+    * before and after the path's node, from the leaf's parent up to the root
+    *
+    * @param   {Object}         tree         tree's root node
+    * @param   {String}         search       target leaf's label or path
+    * @return  {Object}                      proof { label, leafHash, rootHash, path } or null if the leaf doesn't exist or is not hashed.
+    *                                        Throws a ValidationError when the label is ambiguous
+    */
+    static generateProof(tree, search) {
+        const nodes = findPath(tree, search)
+        if(!nodes || !nodes[nodes.length - 1].hash) return null
+        let path = []
+        for(let i = nodes.length - 1; i > 0; i--) {
+            const parent = nodes[i - 1]
+            const position = parent.childrens.indexOf(nodes[i])
+            path.push({
+                label: parent.label,
+                left: siblingHashes(parent.childrens.slice(0, position)),
+                right: siblingHashes(parent.childrens.slice(position + 1))
+            })
         }
-        else if(node.childrens && node.childrens.length > 0) {
-            for(let i = 0; i < node.childrens.length; i++){
-                let result = this.updateNode(node.childrens[i], search, data)
-                if(result) return renewNodeHash(node)
-            }
+        return { label: search, leafHash: nodes[nodes.length - 1].hash, rootHash: tree.hash, path }
+    }
+
+   /**
+    * Verifies a leaf's data and salt against a root hash using an inclusion proof
+    *
+    * @param   {Object}         proof        proof generated by generateProof
+    * @param   {String}         data         leaf's plain data
+    * @param   {String}         salt         leaf's salt
+    * @param   {String}         rootHash     trusted root hash
+    * @return  {Boolean}                     the leaf belongs to the tree. False for a malformed proof
+    */
+    static verifyProof(proof, data, salt, rootHash) {
+        if(!isProof(proof) || !rootHash) return false
+        const hash = Crypto.sha3_256(data+salt)
+        if(proof.leafHash && proof.leafHash !== hash) return false
+        return this.verifyLeafHash(proof, hash, rootHash)
+    }
+
+   /**
+    * Verifies a leaf's data and salt against a tree using an inclusion proof, and that they are the data of
+    * the very node a label or path names. A proof of another leaf presented under this label fails
+    *
+    * @param   {Object}         tree         trusted tree's root node
+    * @param   {String}         search       claimed node's label or path
+    * @param   {Object}         proof        proof generated by generateProof
+    * @param   {String}         data         leaf's plain data
+    * @param   {String}         salt         leaf's salt
+    * @return  {Boolean}                     the leaf belongs to the tree at the claimed node. False for an ambiguous label
+    */
+    static verifyNodeProof(tree, search, proof, data, salt) {
+        let node
+        try {
+            node = this.dfs(tree, search)
+        }catch(err){
+            if(!(err instanceof ValidationError)) throw err
+            return false
         }
-        return null  
+        if(!node || node.hash !== Crypto.sha3_256(data+salt)) return false
+        return this.verifyProof(proof, data, salt, tree.hash)
     }
 
    /**
-    * Removes a node by applying a depth-first search
+    * Verifies a leaf's hash against a root hash using an inclusion proof, without the leaf's data
     *
-    * @param   {Object}         node         tree's node that may contain the target node
-    * @param   {String}         search       target node's label
-    * @return  {Object}                      node                                             
+    * @param   {Object}         proof        proof generated by generateProof
+    * @param   {String}         leafHash     leaf's hash
+    * @param   {String}         rootHash     trusted root hash
+    * @return  {Boolean}                     the leaf belongs to the tree. False for a malformed proof
     */
-    static removeNode(node, search) { 
-        if(search === 'root') return false
-        if(node.label === search) return node
-        else if(node.childrens && node.childrens.length > 0) {
-            for(let i = 0; i < node.childrens.length; i++){
-                let result = this.removeNode(node.childrens[i], search)
-                if(result && result.label === search) node.childrens.splice(i,1)
-                if(result) return renewNodeHash(node)
+    static verifyLeafHash(proof, leafHash, rootHash) {
+        if(!isProof(proof) || !rootHash) return false
+        let hash = leafHash
+        for(let i = 0; i < proof.path.length; i++) {
+            const step = proof.path[i]
+            hash = Crypto.sha3_256(step.left.join('') + hash + step.right.join(''))
+        }
+        return hash === rootHash
+    }
+
+   /**
+    * Compares two versions of a tree node by node, matching nodes by path.
+    * Leafs fetched with their plain data (holding a salt) have their data reported as well
+    *
+    * @param   {Object}         oldTree      previous version's root node or null
+    * @param   {Object}         newTree      next version's root node
+    * @return  {Object}                      { added, removed, changed, rootHash: { from, to } }
+    */
+    static diff(oldTree, newTree) {
+        const before = oldTree ? flattenTree(oldTree) : {}
+        const after = flattenTree(newTree)
+        let diff = { added: [], removed: [], changed: [], rootHash: { from: oldTree ? oldTree.hash : null, to: newTree.hash } }
+        Object.keys(after).forEach(path => {
+            if(!before[path]) diff.added.push(describeNode(path, after[path]))
+            else if(before[path].hash !== after[path].hash) {
+                let change = { path, label: after[path].label, leaf: isLeaf(after[path]), from: before[path].hash, to: after[path].hash }
+                if(isPlainLeaf(before[path])) change.fromData = before[path].data
+                if(isPlainLeaf(after[path])) change.toData = after[path].data
+                diff.changed.push(change)
             }
+        })
+        Object.keys(before).forEach(path => { if(!after[path]) diff.removed.push(describeNode(path, before[path])) })
+        return diff
+    }
+
+   /**
+    * Three-way merge of two versions derived from the same base. Changes made on "ours" are replayed
+    * on top of "theirs"; a node changed on both sides in different ways is a conflict
+    *
+    * @param   {Object}         base         common ancestor's root node
+    * @param   {Object}         ours         our version's root node
+    * @param   {Object}         theirs       their version's root node
+    * @return  {Object}                      { tree, conflicts: [{ path, message }] }. tree is null when there are conflicts
+    */
+    static merge(base, ours, theirs) {
+        const ourDiff = this.diff(base, ours)
+        const theirDiff = this.diff(base, theirs)
+        const theirNodes = flattenTree(theirs)
+        const theirChanges = {}
+        theirDiff.changed.filter(change => change.leaf).forEach(change => { theirChanges[change.path] = change.to })
+        const theirRemovals = theirDiff.removed.map(removal => removal.path)
+        const removedByThem = path => theirRemovals.some(removed => path === removed || isUnder(path, removed))
+        let conflicts = []
+        let tree = JSON.parse(JSON.stringify(theirs))
+
+        ourDiff.added.forEach(addition => {
+            const ourNode = IdentityDag.dfs(ours, addition.path)
+            if(theirNodes[addition.path]) {
+                if(theirNodes[addition.path].hash !== addition.hash || isLeaf(theirNodes[addition.path]) !== addition.leaf)
+                    conflicts.push({ path: addition.path, message: 'was added on both sides with different contents' })
+                return
+            }
+            const parentPath = addition.path.slice(0, addition.path.lastIndexOf(PATH_SEPARATOR))
+            if(!walkPath(tree, parentPath)) {
+                conflicts.push({ path: addition.path, message: 'was added under a node they removed' })
+                return
+            }
+            IdentityDag.insertNode(tree, parentPath, addition.label, addition.leaf ? ourNode.data : null, addition.leaf ? ourNode.hash : null)
+        })
+        ourDiff.changed.filter(change => change.leaf).forEach(change => {
+            if(removedByThem(change.path)) conflicts.push({ path: change.path, message: 'was changed by us and removed by them' })
+            else if(theirChanges[change.path] && theirChanges[change.path] !== change.to) 
+                conflicts.push({ path: change.path, message: 'was changed on both sides' })
+            else {
+                const ourNode = IdentityDag.dfs(ours, change.path)
+                IdentityDag.updateNode(tree, change.path, ourNode.data, ourNode.hash)
+            }
+        })
+        let removed = []
+        ourDiff.removed.forEach(removal => {
+            if(removed.some(path => isUnder(removal.path, path))) return
+            removed.push(removal.path)
+            if(Object.keys(theirChanges).some(path => path === removal.path || isUnder(path, removal.path)) 
+                || theirDiff.added.some(addition => isUnder(addition.path, removal.path)))
+                conflicts.push({ path: removal.path, message: 'was removed by us and changed by them' })
+            else if(walkPath(tree, removal.path)) IdentityDag.removeNode(tree, removal.path)
+        })
+        return { tree: conflicts.length > 0 ? null : tree, conflicts }
+    }
+
+}
+
+const isUnder = (path, ancestorPath) => path.indexOf(`${ancestorPath}${PATH_SEPARATOR}`) === 0
+
+const isLeaf = node => !(node.childrens && node.childrens.length > 0)
+
+const isPlainLeaf = node => isLeaf(node) && node.salt !== undefined
+
+const describeNode = (path, node) => {
+    let description = { path, label: node.label, leaf: isLeaf(node), hash: node.hash }
+    if(isPlainLeaf(node)) description.data = node.data
+    return description
+}
+
+/**
+  * Indexes every node of a tree by its path
+  *
+  * @param   {Object}         node         tree's node
+  * @param   {String}         [parentPath] path of the node's parent
+  * @param   {Object}         [index]      nodes indexed so far
+  * @return  {Object}                      nodes by path
+  */
+const flattenTree = (node, parentPath = null, index = {}) => {
+    const path = parentPath ? `${parentPath}${PATH_SEPARATOR}${node.label}` : node.label
+    index[path] = node
+    if(node.childrens) node.childrens.forEach(child => flattenTree(child, path, index))
+    return index
+}
+
+const isPath = search => typeof search === 'string' && search.indexOf(PATH_SEPARATOR) >= 0
+
+const joinPath = nodes => nodes.map(node => node.label).join(PATH_SEPARATOR)
+
+const validateLabel = label => {
+    if(typeof label !== 'string' || label.length === 0) throw new ValidationError('Node label must be a non empty string', { label })
+    if(label.indexOf(PATH_SEPARATOR) >= 0) throw new ValidationError(`Node label ${label} must not contain "${PATH_SEPARATOR}"`, { label })
+}
+
+/**
+  * Walks a path from the root
+  *
+  * @param   {Object}         tree         tree's root node
+  * @param   {String}         path         node's path, starting by the root's label
+  * @return  {Object[]}                    nodes on the path or null if the path doesn't exist
+  */
+const walkPath = (tree, path) => {
+    const labels = path.split(PATH_SEPARATOR)
+    if(labels[0] !== tree.label) return null
+    let nodes = [tree]
+    for(let i = 1; i < labels.length; i++) {
+        const childrens = nodes[nodes.length - 1].childrens
+        const child = childrens ? childrens.find(node => node.label === labels[i]) : null
+        if(!child) return null
+        nodes.push(child)
+    }
+    return nodes
+}
+
+/**
+  * Finds the nodes from the root to every node with a label
+  *
+  * @param   {Object}         node         tree's node that may contain the target nodes
+  * @param   {String}         search       target nodes' label
+  * @param   {Object[]}       [ancestors]  nodes above "node"
+  * @param   {Object[][]}     [matches]    paths found so far
+  * @return  {Object[][]}                  paths found
+  */
+const findLabel = (node, search, ancestors = [], matches = []) => {
+    const nodes = ancestors.concat(node)
+    if(node.label === search) matches.push(nodes)
+    if(node.childrens && node.childrens.length > 0) {
+        for(let i = 0; i < node.childrens.length; i++){
+            findLabel(node.childrens[i], search, nodes, matches)
         }
-        return null  
     }
+    return matches
+}
+
+/**
+  * Finds the nodes from the root to the target node, failing when its label is ambiguous
+  *
+  * @param   {Object}         tree         tree's root node
+  * @param   {String}         search       target node's label or path
+  * @return  {Object[]}                    nodes on the path or null if the target doesn't exist
+  */
+const findPath = (tree, search) => {
+    if(isPath(search)) return walkPath(tree, search)
+    const matches = findLabel(tree, search)
+    if(matches.length > 1)
+        throw new ValidationError(`Label ${search} is ambiguous (${matches.map(joinPath).join(', ')}). Address the node by its path`, { label: search })
+    return matches.length > 0 ? matches[0] : null
+}
 
+/**
+  * Finds the nodes from the root to the target node, failing when it doesn't exist or its label is ambiguous
+  *
+  * @param   {Object}         tree         tree's root node
+  * @param   {String}         search       target node's label or path
+  * @return  {Object[]}                    nodes on the path
+  */
+const resolvePath = (tree, search) => {
+    const nodes = findPath(tree, search)
+    if(!nodes) throw new NodeNotFoundError(`Node ${search} not found`, { label: search })
+    return nodes
+}
+
+/**
+  * Lists the hashes renewNodeHash concatenates for a set of nodes
+  *
+  * @param   {Object[]}       nodes        sibling nodes
+  * @return  {String[]}                    their non-empty hashes
+  */
+const isHashList = hashes => Array.isArray(hashes) && hashes.every(hash => typeof hash === 'string')
+
+/**
+ * Checks a proof from outside has the shape generateProof gives it
+ *
+ * @param   {Object}    proof   inclusion proof
+ * @returns {Boolean}           its path is a list of { left: [], right: [] } steps
+ */
+const isProof = proof => !!proof && typeof proof === 'object' && Array.isArray(proof.path) && 
+    proof.path.every(step => !!step && isHashList(step.left) && isHashList(step.right))
+
+const siblingHashes = nodes => nodes.filter(node => node.hash).map(node => node.hash)
+
+/**
+  * Renews the hashes of the nodes on a path, from the deepest node up to the root
+  *
+  * @param   {Object[]}       nodes        nodes from the root downwards
+  */
+const renewPathHashes = nodes => {
+    for(let i = nodes.length - 1; i >= 0; i--) renewNodeHash(nodes[i])
 }
 
 /**
   * Renews node's hash following its childrens hashes
   *
   * @param   {Object}         node         target node
-  * @return  {Object}                      updated node                                             
+  * @return  {Object}                      updated node
   */
 const renewNodeHash = node => {
-    if(node.childrens && node.childrens.length > 0)  { 
-        let data = null;
-        for(let j = 0; j < node.childrens.length; j++){
-            if(node.childrens[j].hash) {
-                if(data) data += node.childrens[j].hash  
-                else data = node.childrens[j].hash
-            } 
-        }
-        if(data) node.hash = Crypto.sha3_256(data)  
+    if(node.childrens)  {
+        const data = siblingHashes(node.childrens).join('')
+        node.hash = data ? Crypto.sha3_256(data) : null
     }
     return node
 }
 
-export { IdentityDag }
\ No newline at end of file
+export { IdentityDag }
@@ -1,20 +1,40 @@
 import * as crypto from 'crypto-browserify'
-import { default as ipfsAPI} from 'ipfs-api'
 import { IdentityDag } from './IdentityDag'
 import { MultiHash } from './utils/MultiHash'
 import { Crypto } from './utils/Crypto'
+import { StorageError, DecryptionError, ValidationError } from './errors'
 
 class IpfsService {
    
    /**
-    * Sets the IPFS's node provider
+    * Sets the storage backend
     *
-    * @param   {String}         host      ipfs node host
-    * @param   {String}         port      ipfs node port
-    * @param   {String}         protocol  host protocol http/https
+    * @param   {StorageAdapter}  storage   content storage (IPFS node, memory, local directory)
     */
-    constructor(host, port, protocol){
-        this.ipfs = ipfsAPI(host, port, { protocol })
+    constructor(storage){
+        this.storage = storage
+        this.schema = null
+    }
+
+   /**
+    * Sets the schema insertions and updates are validated against
+    *
+    * @param   {ProfileSchema}  schema    profile schema or null to disable validation
+    */
+    setSchema(schema) {
+        this.schema = schema
+    }
+
+   /**
+    * Throws the schema errors found, if any
+    *
+    * @param   {Object[]}       errors    errors { path, label, message }
+    */
+    assertSchema(errors) {
+        if(errors.length === 0) return
+        throw new ValidationError(
+            `Profile data does not match the ${this.schema.name} schema: ${errors.map(err => `${err.path} ${err.message}`).join('; ')}`, 
+            { schema: this.schema.name }, errors)
     }
 
    /**
@@ -44,6 +64,76 @@ class IpfsService {
         return this.saveData(stringData)
     }
 
+   /**
+    * Computes the IPFS hash saveObject gives an object, without saving it
+    *
+    * @param   {Object}       jsonData   object
+    * @returns {String}                  Index on IPFS
+    */
+    getObjectHash(jsonData) {
+        return MultiHash.getMultiHash(Buffer.from(JSON.stringify(jsonData)))
+    }
+
+   /**
+    * Saves a tree derived from another version, recording that version as its base.
+    * The base may itself be an edit that was never anchored, findProfileBase follows such bases back
+    *
+    * @param   {Object}     tree                   tree's root node
+    * @param   {String}     baseHash               IPFS hash of the version the tree was derived from
+    * @returns {String}                            The location of the saved tree on IPFS
+    */
+    async saveVersion(tree, baseHash) {
+        tree.baseHash = baseHash
+        return await this.saveObject(tree)
+    }
+
+   /**
+    * Gets the version a tree was derived from
+    *
+    * @param   {String}     ipfsHash               ipfs tree location
+    * @returns {String}                            base version's IPFS hash or null for a tree built from scratch
+    */
+    async getBaseHash(ipfsHash) {
+        const tree = await this.getObject(ipfsHash)
+        return tree && tree.baseHash ? tree.baseHash : null
+    }
+
+   /**
+    * Lists the versions a tree was derived from, nearest first, following the base each of them recorded
+    *
+    * @param   {String}     ipfsHash               ipfs tree location
+    * @param   {String}     [until=null]           IPFS hash the walk stops at once reached
+    * @returns {String[]}                          base versions' IPFS hashes, at most MAX_LINEAGE_DEPTH of them
+    */
+    async getLineage(ipfsHash, until = null) {
+        let lineage = []
+        let base = await this.getBaseHash(ipfsHash)
+        while(base && lineage.length < MAX_LINEAGE_DEPTH && lineage.indexOf(base) < 0) {
+            lineage.push(base)
+            if(base === until) break
+            base = await this.getBaseHash(base)
+        }
+        return lineage
+    }
+
+   /**
+    * Relates a tree to the version anchored now. Edits made in a row before anchoring record each other as base,
+    * so the anchored version is looked up among all the tree's bases
+    *
+    * @param   {String}     ipfsHash               tree's IPFS hash about to be anchored
+    * @param   {String}     currentHash            IPFS hash anchored now
+    * @returns {Object}                            { derived, baseHash }, derived being true when the tree was derived from the anchored version.
+    *                                              baseHash is the anchored version then, and otherwise the latest version both were derived from,
+    *                                              or the tree's recorded base when they have none in common
+    */
+    async findProfileBase(ipfsHash, currentHash) {
+        const lineage = await this.getLineage(ipfsHash, currentHash)
+        if(currentHash && lineage.indexOf(currentHash) >= 0) return { derived: true, baseHash: currentHash }
+        const theirs = currentHash ? [currentHash].concat(await this.getLineage(currentHash)) : []
+        const common = lineage.find(hash => theirs.indexOf(hash) >= 0)
+        return { derived: false, baseHash: common ? common : (lineage.length > 0 ? lineage[0] : null) }
+    }
+
    /**
     * Gets a object persisted on IPFS 
     *
@@ -52,7 +142,11 @@ class IpfsService {
     */
     async getObject(ipfsHash) {
         const stringData = await this.getData(ipfsHash)
-        return JSON.parse(stringData)
+        try {
+            return JSON.parse(stringData)
+        }catch(err){
+            throw new StorageError(`${ipfsHash} is not a JSON object`, { ipfsHash }, err)
+        }
     }
 
    /**
@@ -63,12 +157,7 @@ class IpfsService {
     */
     saveData(stringData) {
         const data = Buffer.from(stringData)
-        return new Promise((resolve, reject) => {
-            this.ipfs.files.add(data, (err, cid) => {
-                if(err) reject(err)
-                else resolve(cid[0].path)
-            })
-        }) 
+        return storageCall(() => this.storage.add(data), 'Unable to save data', {})
     }
 
    /**
@@ -77,13 +166,9 @@ class IpfsService {
     * @param   {String}       ipfsHash   The ipfs location       
     * @returns {Promise<String,Error>}   A promise that resolves with the string content or rejects with an error
     */
-    getData(ipfsHash) {
-        return new Promise((resolve, reject) => {
-            this.ipfs.files.get(`/ipfs/${ipfsHash}`, (err, data) => {
-                if(err) reject(err)
-                else resolve(data[0].content.toString())
-            })
-        })
+    async getData(ipfsHash) {
+        const data = await storageCall(() => this.storage.get(ipfsHash), `Unable to get ${ipfsHash}`, { ipfsHash })
+        return data.toString()
     }
 
     async getDataFix(ipfsHash) {
@@ -93,7 +178,7 @@ class IpfsService {
             const data = await response.json()
             return JSON.stringify(data)
         }catch(err){
-            throw(err)
+            throw new StorageError(`Unable to get ${ipfsHash} from the gateway`, { ipfsHash }, err)
         }   
     }
 
@@ -113,7 +198,8 @@ class IpfsService {
             await this.getData(offlineMultiHash)
             return true
         }catch(err){
-            return false
+            if(err.notFound) return false
+            throw err
         }
     }
 
@@ -121,7 +207,7 @@ class IpfsService {
     * Search a node within the IPFS tree
     *
     * @param   {String}   ipfsHash    ipfs tree location
-    * @param   {String}   search      target node's label
+    * @param   {String}   search      target node's label or path
     * @param   {Boolean}  fetchData   retrieve node's data value or its location
     * @return  {Object}               the desired node with its childrens if it exists                                              
     */
@@ -145,7 +231,7 @@ class IpfsService {
     async insertNodes(ipfsHash, insertions, publicKey) {
         let tree = await this.getObject(ipfsHash)
         const result = await this.handleInsertions(tree, insertions, publicKey)    
-        const treeHash = await this.saveObject(tree)
+        const treeHash = await this.saveVersion(tree, ipfsHash)
         return treeHash
     }
 
@@ -161,6 +247,8 @@ class IpfsService {
      * @returns {Promise<Object[],Error>}           A promise that resolves with the insertions or rejects with an error
      */
     async handleInsertions(node, insertions, publicKey, parentLabel = null) {
+        if(this.schema && !parentLabel && insertions.length > 0)
+            this.assertSchema(this.schema.validateInsertions(node, insertions, { requireSections: !node.childrens }))
         let promises = []
         for(let i=0; i < insertions.length; i++){
             promises.push(this.handleInsertion(node, insertions[i], publicKey, parentLabel).then(data => node))
@@ -173,14 +261,17 @@ class IpfsService {
      *
      * @param   {Object}     node                   node object   
      * @param   {Object}     insertion              node to be saved       
-     * @param   {String}     insertion.parentLabel  insertion parent label  
+     * @param   {String}     insertion.parentLabel  insertion parent label or path
      * @param   {String}     insertion.data         insertion data 
+     * @param   {String[]}   insertion.recipients   additional public keys allowed to decrypt the data
      * @param   {Object[]}   insertion.childrens    insertion childrens. Same structure of "insertion"
+     * @param   {String}     publicKey              owner's public key. Used to wrap the data key
      * @param   {String}     parentLabel            overrides the insertion parent 
      * @returns {Object}                            node object
      */
     async handleInsertion(node, insertion, publicKey, parentLabel) {
         parentLabel = parentLabel ? parentLabel : insertion.parentLabel
+        const parentPath = IdentityDag.pathOf(node, parentLabel)
         let data = null
         let dataHash = null
         let childrens = null
@@ -188,15 +279,16 @@ class IpfsService {
             if(insertion.data) {
                 const salt = String.fromCharCode.apply(null, Crypto.randomBytes(32))
                 const dataPayload = { data : insertion.data, salt }
-                data = await Crypto.encrypt(publicKey, JSON.stringify(dataPayload))
+                const recipients = insertion.recipients ? insertion.recipients : []
+                data = await Crypto.sealData(JSON.stringify(dataPayload), [publicKey].concat(recipients))
                 dataHash = Crypto.sha3_256(insertion.data+salt)
             }
             childrens = null            
         }
         if(data) data = await this.saveObject(data)
-        IdentityDag.insertNode(node, parentLabel, insertion.label, data, dataHash)
+        IdentityDag.insertNode(node, parentPath, insertion.label, data, dataHash)
         if(insertion.childrens && insertion.childrens.length > 0)
-            return await this.handleInsertions(node, insertion.childrens, publicKey, insertion.label)
+            return await this.handleInsertions(node, insertion.childrens, publicKey, `${parentPath}/${insertion.label}`)
         return node
     }
 
@@ -206,17 +298,38 @@ class IpfsService {
     * @param   {String}     ipfsHash               ipfs tree location    
     * @param   {String}     search                 target node  
     * @param   {String}     data                   new data   
+    * @param   {String}     publicKey              owner's public key. Current recipients keep their access
     * @returns {String}                            The location of the saved tree on IPFS
     */
     async updateNode(ipfsHash, search, data, publicKey) {
+        const tree = await this.getObject(ipfsHash)
+        await this.handleUpdate(tree, search, data, publicKey)
+        return await this.saveVersion(tree, ipfsHash)
+    }
+
+   /**
+    * Updates a leaf within a tree and saves its data on IPFS
+    *
+    * @param   {Object}     tree                   tree's root node    
+    * @param   {String}     search                 target node  
+    * @param   {String}     data                   new data   
+    * @param   {String}     publicKey              owner's public key. Current recipients keep their access
+    * @returns {Object}                            tree's root node
+    */
+    async handleUpdate(tree, search, data, publicKey) {
+        if(this.schema) this.assertSchema(this.schema.validateUpdate(tree, search, data))
+        const current = IdentityDag.getNode(tree, search)
+        let recipients = [publicKey]
+        if(current.data) {
+            const sealed = await this.getObject(current.data)
+            Crypto.getRecipients(sealed).forEach(recipient => { if(recipients.indexOf(recipient) < 0) recipients.push(recipient) })
+        }
         const salt = String.fromCharCode.apply(null, Crypto.randomBytes(32))
         const dataPayload = { data , salt }
-        const encryptedPayload = await Crypto.encrypt(publicKey, JSON.stringify(dataPayload))
+        const encryptedPayload = await Crypto.sealData(JSON.stringify(dataPayload), recipients)
         const dataHash = Crypto.sha3_256(data+salt)
         const dataIpfsHash = await this.saveObject(encryptedPayload)
-        const tree = await this.getObject(ipfsHash)
-        IdentityDag.updateNode(tree, search, dataIpfsHash, dataHash)
-        return await this.saveObject(tree)
+        return IdentityDag.updateNode(tree, search, dataIpfsHash, dataHash)
     }
 
    /**
@@ -229,14 +342,155 @@ class IpfsService {
     async removeNode(ipfsHash, search) {
         const tree = await this.getObject(ipfsHash)
         IdentityDag.removeNode(tree, search)
-        return await this.saveObject(tree)
+        return await this.saveVersion(tree, ipfsHash)
+    }
+
+   /**
+    * Applies a batch of operations to a tree and saves it once. Operations run in order and are first 
+    * checked on a copy of the tree, so a failing batch uploads no data
+    *
+    * @param   {String}     ipfsHash               ipfs tree location    
+    * @param   {Object[]}   operations             operations to be applied
+    * @param   {String}     operations.type        insert/update/remove/move
+    * @param   {Object}     operations.insertion   insert: node to be inserted. Same structure of "insertion"
+    * @param   {String}     operations.label       update/remove/move: target node
+    * @param   {String}     operations.data        update: new data
+    * @param   {String}     operations.parentLabel move: new parent node
+    * @param   {String}     publicKey              owner's public key. Used to encrypt the data
+    * @returns {String}                            The location of the saved tree on IPFS
+    */
+    async applyOperations(ipfsHash, operations, publicKey) {
+        const tree = await this.getObject(ipfsHash)
+        this.checkOperations(tree, operations)
+        for(let i = 0; i < operations.length; i++) {
+            const operation = operations[i]
+            if(operation.type === 'insert') await this.handleInsertions(tree, [operation.insertion], publicKey)
+            else if(operation.type === 'update') await this.handleUpdate(tree, operation.label, operation.data, publicKey)
+            else if(operation.type === 'remove') IdentityDag.removeNode(tree, operation.label)
+            else if(operation.type === 'move') IdentityDag.moveNode(tree, operation.label, operation.parentLabel)
+        }
+        return await this.saveVersion(tree, ipfsHash)
+    }
+
+   /**
+    * Dry-runs a batch of operations on a copy of the tree, without data
+    *
+    * @param   {Object}     tree                   tree's root node    
+    * @param   {Object[]}   operations             operations to be applied
+    */
+    checkOperations(tree, operations) {
+        const copy = JSON.parse(JSON.stringify(tree))
+        operations.forEach((operation, index) => {
+            try {
+                if(operation.type === 'insert') {
+                    if(this.schema) this.assertSchema(this.schema.validateInsertions(copy, [operation.insertion]))
+                    shapeInsertion(copy, operation.insertion.parentLabel, operation.insertion)
+                }else if(operation.type === 'update') {
+                    if(this.schema) this.assertSchema(this.schema.validateUpdate(copy, operation.label, operation.data))
+                    IdentityDag.updateNode(copy, operation.label, null, null)
+                }else if(operation.type === 'remove') {
+                    IdentityDag.removeNode(copy, operation.label)
+                }else if(operation.type === 'move') {
+                    IdentityDag.moveNode(copy, operation.label, operation.parentLabel)
+                }else throw new ValidationError(`Unknown operation type ${operation.type}`)
+            }catch(err){
+                err.message = `Operation ${index} (${operation.type}) failed: ${err.message}`
+                throw err
+            }
+        })
+    }
+
+   /**
+    * Allows a new public key to decrypt a leaf's data
+    *
+    * @param   {String}     ipfsHash               ipfs tree location    
+    * @param   {String}     search                 target leaf   
+    * @param   {String}     privateKey             private key of a current recipient (usually the owner)
+    * @param   {String}     recipientPublicKey     public key to be granted
+    * @returns {String}                            The location of the saved tree on IPFS
+    */
+    async grantNodeAccess(ipfsHash, search, privateKey, recipientPublicKey) {
+        return this.resealNode(ipfsHash, search, sealed => Crypto.grantRecipient(privateKey, sealed, recipientPublicKey))
+    }
+
+   /**
+    * Revokes a public key's access to a leaf's data. The leaf is encrypted again under a new key
+    *
+    * @param   {String}     ipfsHash               ipfs tree location    
+    * @param   {String}     search                 target leaf   
+    * @param   {String}     privateKey             private key of a remaining recipient (usually the owner)
+    * @param   {String}     recipientPublicKey     public key to be revoked
+    * @returns {String}                            The location of the saved tree on IPFS
+    */
+    async revokeNodeAccess(ipfsHash, search, privateKey, recipientPublicKey) {
+        return this.resealNode(ipfsHash, search, sealed => Crypto.revokeRecipient(privateKey, sealed, recipientPublicKey))
+    }
+
+   /**
+    * Lists the public keys allowed to decrypt a leaf's data
+    *
+    * @param   {String}     ipfsHash               ipfs tree location    
+    * @param   {String}     search                 target leaf   
+    * @returns {String[]}                          recipients' public keys
+    */
+    async getNodeRecipients(ipfsHash, search) {
+        const tree = await this.getObject(ipfsHash)
+        const node = getLeaf(tree, search)
+        return Crypto.getRecipients(await this.getObject(node.data))
+    }
+
+   /**
+    * Replaces a leaf's sealed data keeping its hash, since the plain data doesn't change
+    *
+    * @param   {String}     ipfsHash               ipfs tree location    
+    * @param   {String}     search                 target leaf   
+    * @param   {Function}   reseal                 receives the current sealed data and resolves with the new one
+    * @returns {String}                            The location of the saved tree on IPFS
+    */
+    async resealNode(ipfsHash, search, reseal) {
+        const tree = await this.getObject(ipfsHash)
+        const node = getLeaf(tree, search)
+        const sealed = await reseal(await this.getObject(node.data))
+        node.data = await this.saveObject(sealed)
+        return await this.saveVersion(tree, ipfsHash)
+    }
+
+   /**
+    * Lists a node's attestation next to it
+    *
+    * @param   {String}     ipfsHash               ipfs tree location    
+    * @param   {String}     search                 target node   
+    * @param   {String}     attestationHash        attestation's location on IPFS
+    * @param   {String}     nodeHash               node hash the attestation was signed for
+    * @returns {String}                            The location of the saved tree on IPFS
+    */
+    async attachAttestation(ipfsHash, search, attestationHash, nodeHash) {
+        const tree = await this.getObject(ipfsHash)
+        const node = IdentityDag.getNode(tree, search)
+        if(node.hash !== nodeHash) throw new ValidationError(`Attestation was signed for another version of ${search}`, { label: search, ipfsHash })
+        node.attestations = (node.attestations ? node.attestations : []).filter(hash => hash !== attestationHash).concat(attestationHash)
+        return await this.saveVersion(tree, ipfsHash)
+    }
+
+   /**
+    * Lists the attestations stored next to a node
+    *
+    * @param   {String}     ipfsHash               ipfs tree location    
+    * @param   {String}     search                 target node   
+    * @returns {String[]}                          attestations' locations on IPFS
+    */
+    async getNodeAttestations(ipfsHash, search) {
+        const tree = await this.getObject(ipfsHash)
+        const node = IdentityDag.getNode(tree, search)
+        return node.attestations ? node.attestations : []
     }
 
     /**
-     * Retrieves the node's pure data on IPFS 
+     * Retrieves the node's pure data on IPFS. Leafs encrypted on the legacy format are decrypted as well
      * 
-     * @param   {Object}   node  target node
-     * @return  {Object}         node with its data                                               
+     * @param   {Object}   node          target node
+     * @param   {String}   [privateKey]  key used to decrypt the leafs' envelopes
+     * @return  {Object}                 node with its data                                               
      */
     async fetchNodeData(node, privateKey) {
         if(node.childrens && node.childrens.length > 0) {
@@ -248,8 +502,12 @@ class IpfsService {
         }else if(node.data){
             const encryptedData = await this.getObject(node.data)
             if(privateKey) {
-                const stringPayload = await Crypto.decrypt(privateKey, encryptedData)
-                const dataPayload = JSON.parse(stringPayload)
+                let dataPayload
+                try {
+                    dataPayload = JSON.parse(await Crypto.openData(privateKey, encryptedData))
+                }catch(err){
+                    throw new DecryptionError(`Unable to decrypt ${node.label}`, { label: node.label, ipfsHash: node.data }, err)
+                }
                 node.data = dataPayload.data
                 node.salt = dataPayload.salt
             } 
@@ -258,73 +516,260 @@ class IpfsService {
     }
 
     async initAuth(seed) {
+        await this.createPath(`/${seed}`)
+        return true
+    }
+
+    async setAuthCredentials(seed, credentials, credentialsData) {
+        await this.writeFile(`/${seed}/auth.txt`, credentials)
+        await this.writeFile(`/${seed}/data.txt`, JSON.stringify(credentialsData))
+        return true
+    }
+
+   /**
+    * Reads the credentials set for an auth seed
+    *
+    * @param   {String}   seed    auth seed
+    * @returns {Object}           { credentials, credentialsData } or null if they were not set yet
+    */
+    async getAuthCredentials(seed){
         try {
-            await this.createPath(`/${seed}`)
-            return true
+            const credentials = await this.readPath(`/${seed}/auth.txt`)
+            const credentialsData = await this.readPath(`/${seed}/data.txt`)
+            return { credentials : JSON.parse(credentials), credentialsData: JSON.parse(credentialsData) }
         }catch(err){
-            return false
+            if(err.notFound) return null
+            throw err
         }
     }
 
-    async setAuthCredentials(seed, credentials, credentialsData) {
+   /**
+    * Writes the credentials an identity co-owner signed for an auth seed
+    *
+    * @param   {String}   seed          auth seed
+    * @param   {String}   signer        co-owner's address
+    * @param   {String}   credentials   encrypted signed challenge
+    */
+    async setAuthSignature(seed, signer, credentials) {
+        await this.writeFile(`/${seed}/auth-${signer.toLowerCase()}.txt`, credentials)
+        return true
+    }
+
+   /**
+    * Reads the credentials an identity co-owner signed for an auth seed
+    *
+    * @param   {String}   seed      auth seed
+    * @param   {String}   signer    co-owner's address
+    * @returns {Object}             encrypted signed challenge or null if it was not set yet
+    */
+    async getAuthSignature(seed, signer) {
+        try {
+            return JSON.parse(await this.readPath(`/${seed}/auth-${signer.toLowerCase()}.txt`))
+        }catch(err){
+            if(err.notFound) return null
+            throw err
+        }
+    }
+
+   /**
+    * Publishes an attestor's signed revocation list, replacing the previous one
+    *
+    * @param   {String}   attestor    attestor's address
+    * @param   {Object}   list        signed revocation list
+    * @returns {String}               list's IPFS hash
+    */
+    async setRevocationList(attestor, list) {
+        await this.createPath('/revocations')
+        await this.writeFile(`/revocations/${attestor.toLowerCase()}.json`, JSON.stringify(list))
+        return this.saveObject(list)
+    }
+
+   /**
+    * Publishes an attestor's revocation list and points the attestor's name to it
+    *
+    * @param   {String}   attestor    attestor's address
+    * @param   {Object}   list        signed revocation list
+    * @param   {String}   key         name of the storage key the attestor publishes with
+    * @returns {Object}               { ipfsHash, name }
+    */
+    async publishRevocationList(attestor, list, key) {
+        const ipfsHash = await this.setRevocationList(attestor, list)
+        const name = await optionalStorageCall(this.storage, 'publishName', () => this.storage.publishName(ipfsHash, key), `Unable to publish ${ipfsHash} under ${key}`, { ipfsHash })
+        return { ipfsHash, name }
+    }
+
+   /**
+    * Reads the revocation list a name points to
+    *
+    * @param   {String}   name        name the attestor publishes its list under
+    * @returns {Object}               signed revocation list
+    */
+    async resolveRevocationList(name) {
+        const ipfsHash = await optionalStorageCall(this.storage, 'resolveName', () => this.storage.resolveName(name), `Unable to resolve ${name}`, { path: name })
+        return this.getObject(ipfsHash)
+    }
+
+   /**
+    * Reads an attestor's revocation list
+    *
+    * @param   {String}   attestor    attestor's address
+    * @returns {Object}               signed revocation list or null if it revoked nothing yet
+    */
+    async getRevocationList(attestor) {
         try {
-            await this.writeFile(`/${seed}/auth.txt`, credentials)
-            await this.writeFile(`/${seed}/data.txt`, JSON.stringify(credentialsData))
+            return JSON.parse(await this.readPath(`/revocations/${attestor.toLowerCase()}.json`))
         }catch(err){
-            return false
+            if(err.notFound) return null
+            throw err
         }
+    }
+
+   /**
+    * Adds a listing to the marketplace's index. Every listing has its own entry, so concurrent publishers don't overwrite each other
+    *
+    * @param   {String}     listingId   listing's IPFS hash
+    * @param   {Object}     listing     signed listing
+    */
+    async setListing(listingId, listing) {
+        await this.createPath('/marketplace/listings')
+        await this.writeFile(`/marketplace/listings/${listingId}.json`, JSON.stringify(listing))
         return true
     }
 
-    async getAuthCredentials(seed){
+   /**
+    * Removes a listing from the marketplace's index
+    *
+    * @param   {String}     listingId   listing's IPFS hash
+    */
+    async removeListing(listingId) {
         try {
-            const credentials = await this.readPath(`/${seed}/auth.txt`)
-            const credentialsData = await this.readPath(`/${seed}/data.txt`)
-            return { credentials : JSON.parse(credentials), credentialsData: JSON.parse(credentialsData) }
+            await this.rmPath(`/marketplace/listings/${listingId}.json`)
         }catch(err){
-            return false
+            if(!err.notFound) throw err
         }
+        return true
+    }
+
+   /**
+    * Lists the marketplace's index
+    *
+    * @returns {String[]}     listings' IPFS hashes
+    */
+    async getListingIds() {
+        return (await this.lsPath('/marketplace/listings')).filter(name => /\.json$/.test(name)).map(name => name.replace(/\.json$/, ''))
+    }
+
+   /**
+    * Records a buyer's purchase request, replacing the buyer's previous request from the listing
+    *
+    * @param   {String}     listingId    listing's IPFS hash
+    * @param   {Object}     request      signed purchase request
+    */
+    async setPurchaseRequest(listingId, request) {
+        await this.createPath(`/marketplace/requests/${listingId}`)
+        await this.writeFile(`/marketplace/requests/${listingId}/${request.buyer.toLowerCase()}.json`, JSON.stringify(request))
+        return true
+    }
+
+   /**
+    * Reads a buyer's purchase request
+    *
+    * @param   {String}     listingId    listing's IPFS hash
+    * @param   {String}     buyer        buyer identity's contract address
+    * @returns {Object}                  purchase request or null when the buyer didn't ask or the entry isn't JSON
+    */
+    async getPurchaseRequest(listingId, buyer) {
+        try {
+            return JSON.parse(await this.readPath(`/marketplace/requests/${listingId}/${buyer.toLowerCase()}.json`))
+        }catch(err){
+            if(err.notFound || err instanceof SyntaxError) return null
+            throw err
+        }
+    }
+
+   /**
+    * Reads the purchase requests made from a listing
+    *
+    * @param   {String}     listingId    listing's IPFS hash
+    * @returns {Object[]}                purchase requests
+    */
+    async getPurchaseRequests(listingId) {
+        const names = (await this.lsPath(`/marketplace/requests/${listingId}`)).filter(name => /\.json$/.test(name))
+        const requests = await Promise.all(names.map(name => this.getPurchaseRequest(listingId, name.replace(/\.json$/, ''))))
+        return requests.filter(request => request !== null)
     }
 
     createPath(path) {
-        return new Promise((resolve, reject) => {
-            this.ipfs.files.mkdir(path, (err) => {
-                if(err) reject(err)
-                else resolve(true)
-            })
-        }) 
+        return storageCall(() => this.storage.mkdir(path), `Unable to create ${path}`, { path })
     }
 
     writeFile(path, content) {
-        return new Promise((resolve, reject) => {
-            this.ipfs.files.write(path, Buffer.from(content), {create: true}, (err) => {
-                if(err) reject(err)
-                else resolve(true)
-            })
-        }) 
-    }
-
-    readPath(path) {
-        return new Promise((resolve, reject) => {
-            this.ipfs.files.read(path, (err, buf) => {
-                if(err) reject(err)
-                else {
-                    setTimeout(() => { 
-                        resolve(String.fromCharCode.apply(null, buf))
-                    }, 5000)
-                }
-            })
-        }) 
+        return storageCall(() => this.storage.write(path, Buffer.from(content)), `Unable to write ${path}`, { path })
+    }
+
+    async readPath(path) {
+        const buf = await storageCall(() => this.storage.read(path), `Unable to read ${path}`, { path })
+        return buf.toString()
     }
 
     rmPath(path) {
-        return new Promise((resolve, reject) => {
-            this.ipfs.files.rm(path, {recursive: true}, (err) => {
-                if(err) reject(err)
-                else resolve(true)
-            })
-        }) 
+        return storageCall(() => this.storage.rm(path), `Unable to remove ${path}`, { path })
     }
+
+    async lsPath(path) {
+        try {
+            return await optionalStorageCall(this.storage, 'ls', () => this.storage.ls(path), `Unable to list ${path}`, { path })
+        }catch(err){
+            if(err.notFound) return []
+            throw err
+        }
+    }
+}
+
+const MAX_LINEAGE_DEPTH = 256
+
+/**
+ * Runs a storage backend call, wrapping its failures
+ *
+ * @param   {Function}   call      storage call returning a promise
+ * @param   {String}     message   error message
+ * @param   {Object}     context   error context { ipfsHash, path }
+ * @returns {Promise}              the call's result
+ */
+const storageCall = async (call, message, context) => {
+    try {
+        return await call()
+    }catch(err){
+        throw new StorageError(message, context, err)
+    }
+}
+
+/**
+ * Runs a call to a method storage adapters may leave out, rejecting when the adapter doesn't implement it
+ *
+ * @param   {Object}     storage   storage adapter
+ * @param   {String}     method    optional method's name, e.g. ls
+ * @param   {Function}   call      storage call returning a promise
+ * @param   {String}     message   error message
+ * @param   {Object}     context   error context { ipfsHash, path }
+ * @returns {Promise}              the call's result
+ */
+const optionalStorageCall = (storage, method, call, message, context) => {
+    if(typeof storage[method] !== 'function')
+        return Promise.reject(new StorageError(`${message}: the storage adapter doesn't implement ${method}`, context))
+    return storageCall(call, message, context)
+}
+
+const shapeInsertion = (tree, parentLabel, insertion) => {
+    const parentPath = IdentityDag.pathOf(tree, parentLabel)
+    IdentityDag.insertNode(tree, parentPath, insertion.label, null, null)
+    if(insertion.childrens) insertion.childrens.forEach(child => shapeInsertion(tree, `${parentPath}/${insertion.label}`, child))
+}
+
+const getLeaf = (tree, search) => {
+    const node = IdentityDag.getNode(tree, search)
+    if(!node.data) throw new ValidationError(`Node ${search} has no data`, { label: search })
+    return node
 }
 
-export { IpfsService }
\ No newline at end of file
+export { IpfsService }
@@ -0,0 +1,117 @@
+import { ProfileConflictError, ValidationError } from './errors'
+
+/**
+ * Collects profile edits to be applied on a single tree version and anchored by a single transaction
+ *
+ * @example
+ * const result = await api.editProfile(identity, publicKey)
+ *     .insert({ parentLabel: 'root', label: 'contact', childrens: [{ label: 'email', data: 'me@swapy.network' }] })
+ *     .update('income', '2000.00 USD')
+ *     .remove('root/financial/employer')
+ *     .commit()
+ *
+ * @class ProfileEditor
+ */
+class ProfileEditor {
+
+   /**
+    * Creates an empty batch of edits
+    *
+    * @param   {Api}       api                 Api instance
+    * @param   {String}    identity            identity's contract address
+    * @param   {String}    publicKey           owner's public key. Used to encrypt the data
+    * @param   {Boolean}   [multiSig=false]    is a multi sig identity
+    */
+    constructor(api, identity, publicKey, multiSig = false) {
+        this.api = api
+        this.identity = identity
+        this.publicKey = publicKey
+        this.multiSig = multiSig
+        this.operations = []
+    }
+
+   /**
+    * Inserts nodes
+    *
+    * @param   {Object|Object[]}   insertions   tree insertions with their parentLabel
+    * @returns {ProfileEditor}                  the editor
+    */
+    insert(insertions) {
+        [].concat(insertions).forEach(insertion => this.operations.push({ type: 'insert', insertion }))
+        return this
+    }
+
+   /**
+    * Updates a leaf's data
+    *
+    * @param   {String}   label   leaf's label or path
+    * @param   {String}   data    new data
+    * @returns {ProfileEditor}    the editor
+    */
+    update(label, data) {
+        this.operations.push({ type: 'update', label, data })
+        return this
+    }
+
+   /**
+    * Removes a node with its childrens
+    *
+    * @param   {String}   label   node's label or path
+    * @returns {ProfileEditor}    the editor
+    */
+    remove(label) {
+        this.operations.push({ type: 'remove', label })
+        return this
+    }
+
+   /**
+    * Moves a node with its childrens under another parent
+    *
+    * @param   {String}   label         node's label or path
+    * @param   {String}   parentLabel   new parent's label or path
+    * @returns {ProfileEditor}          the editor
+    */
+    move(label, parentLabel) {
+        this.operations.push({ type: 'move', label, parentLabel })
+        return this
+    }
+
+   /**
+    * Applies the edits to the identity's current tree and saves the new version on IPFS, without anchoring it
+    *
+    * @returns {Promise<Object, Error>}   A promise that resolves with { baseHash, ipfsHash } or rejects with an error
+    */
+    async apply() {
+        if(this.operations.length === 0) throw new ValidationError('No profile edits to apply', { identity: this.identity })
+        const baseHash = await this.api.getProfileHash(this.identity)
+        const ipfsHash = await this.api.applyTreeEdits(baseHash, this.operations, this.publicKey)
+        return { baseHash, ipfsHash }
+    }
+
+   /**
+    * Applies the edits and anchors the new version with one transaction (or one multi sig proposal).
+    * Nothing is sent when any edit fails or when the anchored profile changed while the edits were applied
+    *
+    * @param   {Object}  [opt={ from: null, gas: null, gasPrice: null }]  transaction options
+    * @param   {Boolean} [opt.merge=false]  on a concurrent change, merge both versions instead of rejecting with a ProfileConflictError
+    * @returns {Promise<Object, Error>}    A promise that resolves with { baseHash, ipfsHash, merged, transaction } or rejects with an error
+    */
+    async commit(opt = { from: null, gas: null, gasPrice: null }) {
+        let result = await this.apply()
+        result.merged = false
+        try {
+            result.transaction = await this.api.updateIdentityData(this.identity, result.ipfsHash, this.multiSig, 
+                Object.assign({}, opt, { baseHash: result.baseHash }))
+        }catch(err){
+            if(!(err instanceof ProfileConflictError) || !opt.merge) throw err
+            result.ipfsHash = await this.api.mergeProfiles(result.baseHash, result.ipfsHash, err.currentHash, this.identity)
+            result.baseHash = err.currentHash
+            result.merged = true
+            result.transaction = await this.api.updateIdentityData(this.identity, result.ipfsHash, this.multiSig, 
+                Object.assign({}, opt, { baseHash: result.baseHash }))
+        }
+        return result
+    }
+}
+
+export { ProfileEditor }
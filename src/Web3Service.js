@@ -1,21 +1,34 @@
 import { default as Web3 } from 'web3'
+import { PrivateKeySigner, ProviderSigner } from './signers'
+import { NodeFeeStrategy } from './fees'
+import { ContractRevertError, SignatureError, ValidationError } from './errors'
+import { DEFAULT_GAS_MARGIN } from './config/options'
 
 class Web3Service {
   
    /**
     * Instantiates web3  
     *
-    * @param    {String}  httpProvider   Ethereum's http provider
-    * @param    {String}  privateKey     default account's private key
+    * @param    {String|Object}  provider                  Ethereum's http provider url or a provider object
+    * @param    {Object}         [defaults={}]             default transaction settings
+    * @param    {Number}         [defaults.gas]            tx gas limit. Estimated per transaction when missing
+    * @param    {String}         [defaults.gasPrice]       tx gas price in wei. Picked by the fee strategy when missing
+    * @param    {Number}         [defaults.chainId]        chain id of the network
+    * @param    {Number}         [defaults.gasMargin=1.2]  multiplier applied to estimated gas limits
+    * @param    {FeeStrategy}    [defaults.feeStrategy]    picks the fees of transactions without a gas price. Defaults to the node's gas price
     **/
-    constructor(httpProvider){
-        this.web3 = new Web3(httpProvider) 
+    constructor(provider, defaults = {}){
+        this.web3 = new Web3(provider) 
         this.utils =  this.web3.utils
         this.defaultOptions = {
             from: null,
-            gas: 4500000,
-            gasPrice: this.utils.toWei("20", 'gwei')
+            gas: defaults.gas ? defaults.gas : null,
+            gasPrice: defaults.gasPrice ? defaults.gasPrice : null
         }
+        this.chainId = defaults.chainId ? defaults.chainId : null
+        this.gasMargin = defaults.gasMargin ? defaults.gasMargin : DEFAULT_GAS_MARGIN
+        this.feeStrategy = defaults.feeStrategy ? defaults.feeStrategy : new NodeFeeStrategy()
+        this.signers = {}
     }
 
    /**
@@ -42,10 +55,58 @@ class Web3Service {
     */
     addAccount(account) { 
         this.web3.eth.accounts.wallet.add(account) 
+        this.signers[account.address.toLowerCase()] = new PrivateKeySigner(this.web3, account.privateKey)
         if(!this.defaultOptions.from){
             this.defaultOptions.from = account.address
         }
     }
+
+   /**
+    * Registers a signer for its account. The first account set becomes the default sender
+    *
+    * @param    {Signer}  signer                  signer
+    * @return   {Promise<String, Error>}          A promise that resolves with the signer's address or rejects with an error
+    */
+    async addSigner(signer) {
+        const address = await signer.getAddress()
+        this.signers[address.toLowerCase()] = signer
+        if(!this.defaultOptions.from){
+            this.defaultOptions.from = address
+        }
+        return address
+    }
+
+   /**
+    * Gets the signer of an account. Accounts without a registered signer are signed for by the provider
+    *
+    * @param    {String}  [from=null]     account's address. Defaults to the default sender, or the provider's first account
+    * @return   {Signer}                  signer
+    */
+    getSigner(from = null) {
+        const address = from ? from : this.defaultOptions.from
+        const signer = address ? this.signers[address.toLowerCase()] : null
+        return signer ? signer : new ProviderSigner(this.web3, address)
+    }
+
+   /**
+    * Lists the accounts this instance can sign for: the registered signers' and the provider's. 
+    * Providers without accounts, e.g. a public node, only add none
+    *
+    * @return   {Promise<String[], Error>}    A promise that resolves with the addresses or rejects with a ContractRevertError 
+    *                                         when the provider fails for another reason
+    */
+    async getAddresses() {
+        let addresses = await Promise.all(Object.keys(this.signers).map(key => this.signers[key].getAddress()))
+        try {
+            const accounts = await this.web3.eth.getAccounts()
+            accounts.forEach(account => {
+                if(!addresses.some(address => address.toLowerCase() === account.toLowerCase())) addresses.push(account)
+            })
+        }catch(err){
+            if(!isNoAccountsError(err)) throw new ContractRevertError(`Unable to get the provider's accounts: ${err.message}`, {}, err)
+        }
+        return addresses
+    }
     
    /**
     * Gets web3
@@ -54,13 +115,272 @@ class Web3Service {
     */
     getWeb3() { return this.web3 }
 
-    async signCredentials(seed) {
+   /**
+    * Calls a constant contract method
+    *
+    * @param    {Object}  method          contract method, e.g. contract.methods.owner()
+    * @param    {Object}  [context={}]    error context { identity, method }
+    * @param    {Number|String}  [block='latest']  block whose state is read
+    * @return   {Promise<*, Error>}       A promise that resolves with the returned value or rejects with a ContractRevertError
+    */
+    async call(method, context = {}, block = 'latest') {
+        try {
+            return await method.call({}, block)
+        }catch(err){
+            throw new ContractRevertError(`Call to ${context.method ? context.method : 'contract'} failed: ${err.message}`, context, err)
+        }
+    }
+
+   /**
+    * Sends a contract method transaction, prepares it to be signed offline or estimates what it costs
+    *
+    * @param    {Object}  method          contract method, e.g. contract.methods.setFinancialData(data)
+    * @param    {Object}  options         tx options { to, from, gas, gasPrice, value, nonce, prepare, estimate, signer }, to being the contract's 
+    *                                     address the method is sent to. The signer takes precedence over from. Signers outside web3's wallet sign locally and the raw transaction is sent.
+    *                                     A missing gas limit is estimated and missing fees are picked by the fee strategy
+    * @param    {Object}  [context={}]    error context { identity, method }
+    * @return   {Promise<Object, Error>}  A promise that resolves with the transaction receipt, the unsigned transaction when prepare is set
+    *                                     or the cost getCost returns when estimate is set, or rejects with a ContractRevertError
+    */
+    async send(method, options, context = {}) {
+        const { prepare, estimate, nonce, signer, to, ...txOptions } = options
+        if(signer) txOptions.from = await signer.getAddress()
+        if(nonce !== undefined && nonce !== null) txOptions.nonce = nonce
+        if(estimate) return this.getCost(await this.completeTransaction(method, txOptions, context))
+        if(prepare) return this.prepareTransaction(method, Object.assign({ to }, txOptions), context)
+        const sender = signer ? signer : this.getSigner(txOptions.from)
+        if(!(sender instanceof ProviderSigner) && !this.web3.eth.accounts.wallet[txOptions.from]) {
+            const transaction = await this.prepareTransaction(method, Object.assign({ to }, txOptions), context)
+            let signed
+            try {
+                signed = await sender.signTransaction(transaction)
+            }catch(err){
+                throw new SignatureError(`Unable to sign the ${context.method ? context.method : ''} transaction`, context, err)
+            }
+            return this.sendSignedTransaction(signed.rawTransaction)
+        }
+        const completed = await this.completeTransaction(method, txOptions, context)
+        try {
+            return await method.send(completed)
+        }catch(err){
+            throw new ContractRevertError(`Transaction ${context.method ? context.method : ''} failed: ${err.message}`, context, err)
+        }
+    }
+
+   /**
+    * Builds the unsigned transaction of a contract method. The sender's pending nonce is used when none is given,
+    * the gas limit is estimated when missing and missing fees are picked by the fee strategy
+    *
+    * @param    {Object}  method          contract method, e.g. contract.methods.setFinancialData(data)
+    * @param    {Object}  options         tx options { to, from, gas, gasPrice, value, nonce }, to being the contract's address
+    * @param    {Object}  [context={}]    error context { identity, method }
+    * @return   {Promise<Object, Error>}  A promise that resolves with { from, to, data, value, nonce, gas, gasPrice, chainId },
+    *                                     where EIP-1559 fees replace gasPrice with maxFeePerGas and maxPriorityFeePerGas,
+    *                                     or rejects with a ContractRevertError
+    */
+    async prepareTransaction(method, options, context = {}) {
+        if(!options.to) throw new ValidationError(`The ${context.method ? context.method : ''} transaction needs the contract's address`, context)
+        let nonce = options.nonce
+        try {
+            if(nonce === undefined) nonce = await this.web3.eth.getTransactionCount(options.from, 'pending')
+        }catch(err){
+            throw new ContractRevertError(`Unable to get the nonce of ${options.from}: ${err.message}`, context, err)
+        }
+        const { to, ...txOptions } = options
+        const completed = await this.completeTransaction(method, txOptions, context)
+        let transaction = {
+            from: options.from,
+            to,
+            data: method.encodeABI(),
+            value: this.utils.toHex(options.value ? options.value : 0),
+            nonce: Number(nonce),
+            gas: Number(completed.gas)
+        }
+        if(completed.maxFeePerGas) {
+            transaction.maxFeePerGas = String(completed.maxFeePerGas)
+            transaction.maxPriorityFeePerGas = String(completed.maxPriorityFeePerGas)
+        }else{
+            transaction.gasPrice = String(completed.gasPrice)
+        }
+        transaction.chainId = await this.getChainId()
+        return transaction
+    }
+
+   /**
+    * Fills in the gas limit and the fees a transaction is missing
+    *
+    * @param    {Object}  method          contract method, e.g. contract.methods.setFinancialData(data)
+    * @param    {Object}  options         tx options { from, gas, gasPrice, value, nonce }
+    * @param    {Object}  [context={}]    error context { identity, method }
+    * @return   {Promise<Object, Error>}  A promise that resolves with the completed tx options or rejects with a ContractRevertError
+    */
+    async completeTransaction(method, options, context = {}) {
+        let completed = Object.assign({}, options)
+        if(!completed.gas) completed.gas = await this.estimateGas(method, completed, context)
+        if(!completed.gasPrice && !completed.maxFeePerGas) {
+            delete completed.gasPrice
+            Object.assign(completed, await this.getFees(context))
+        }
+        return completed
+    }
+
+   /**
+    * Estimates the gas limit of a contract method transaction, raised by the gas margin
+    *
+    * @param    {Object}  method          contract method, e.g. contract.methods.setFinancialData(data)
+    * @param    {Object}  options         tx options { from, value }
+    * @param    {Object}  [context={}]    error context { identity, method }
+    * @return   {Promise<Number, Error>}  A promise that resolves with the gas limit or rejects with a ContractRevertError
+    *                                     when the transaction would fail
+    */
+    async estimateGas(method, options, context = {}) {
+        let estimate
+        try {
+            estimate = await method.estimateGas({ from: options.from, value: options.value ? options.value : 0 })
+        }catch(err){
+            throw new ContractRevertError(`Gas estimation of ${context.method ? context.method : 'transaction'} failed: ${err.message}`, context, err)
+        }
+        return Math.ceil(Number(estimate) * this.gasMargin)
+    }
+
+   /**
+    * Gets the fees the fee strategy picks
+    *
+    * @param    {Object}  [context={}]    error context { identity, method }
+    * @return   {Promise<Object, Error>}  A promise that resolves with { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas } in wei,
+    *                                     rejects with a ContractRevertError or with a ValidationError when the strategy picks neither
+    */
+    async getFees(context = {}) {
+        let fees
+        try {
+            fees = await this.feeStrategy.getFees(this.web3)
+        }catch(err){
+            throw new ContractRevertError(`Unable to get the fees: ${err.message}`, context, err)
+        }
+        if(fees && fees.maxFeePerGas && fees.maxPriorityFeePerGas)
+            return { maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+        if(!fees || !fees.gasPrice) 
+            throw new ValidationError('The fee strategy must resolve with a gas price or with a max fee and a priority fee per gas', context)
+        return { gasPrice: fees.gasPrice }
+    }
+
+   /**
+    * Computes what a transaction costs: its gas limit times its fee per gas, plus the value it sends.
+    * EIP-1559 costs use the max fee per gas, so they are an upper bound
+    *
+    * @param    {Object}  transaction     tx options or unsigned transaction { gas, gasPrice or maxFeePerGas, value }
+    * @return   {Object}                  { gas, feePerGas, fee, value, total } in wei and { fee, total } in ETH on eth
+    */
+    getCost(transaction) {
+        const feePerGas = this.utils.toBN(transaction.maxFeePerGas ? transaction.maxFeePerGas : transaction.gasPrice)
+        const fee = this.utils.toBN(transaction.gas).mul(feePerGas)
+        const value = this.utils.toBN(transaction.value ? transaction.value : 0)
+        const total = fee.add(value)
+        return {
+            gas: Number(transaction.gas),
+            feePerGas: feePerGas.toString(),
+            fee: fee.toString(),
+            value: value.toString(),
+            total: total.toString(),
+            eth: { fee: this.utils.fromWei(fee, 'ether'), total: this.utils.fromWei(total, 'ether') }
+        }
+    }
+
+   /**
+    * Signs a prepared transaction with a private key. Nothing is fetched from the network
+    *
+    * @param    {Object}  transaction     unsigned transaction { from, to, data, value, nonce, gas, gasPrice, chainId },
+    *                                     with maxFeePerGas and maxPriorityFeePerGas instead of gasPrice for EIP-1559 fees
+    * @param    {String}  privateKey      sender's private key
+    * @return   {Promise<Object, Error>}  A promise that resolves with { rawTransaction, transactionHash } or rejects with a SignatureError
+    */
+    async signTransaction(transaction, privateKey) {
+        const { from, ...unsigned } = transaction
+        let signer
+        try {
+            signer = new PrivateKeySigner(this.web3, privateKey)
+        }catch(err){
+            throw new SignatureError('Unable to sign the transaction: invalid private key', { from }, err)
+        }
+        const address = await signer.getAddress()
+        if(from && from.toLowerCase() !== address.toLowerCase())
+            throw new SignatureError(`Transaction was prepared for ${from} but the key belongs to ${address}`, { from })
+        try {
+            return await signer.signTransaction(unsigned)
+        }catch(err){
+            throw new SignatureError('Unable to sign the transaction', { from }, err)
+        }
+    }
+
+   /**
+    * Broadcasts a signed transaction
+    *
+    * @param    {String}  rawTransaction  signed transaction
+    * @return   {Promise<Object, Error>}  A promise that resolves with the transaction receipt or rejects with a ContractRevertError
+    */
+    async sendSignedTransaction(rawTransaction) {
+        try {
+            return await this.web3.eth.sendSignedTransaction(rawTransaction)
+        }catch(err){
+            throw new ContractRevertError(`Signed transaction failed: ${err.message}`, {}, err)
+        }
+    }
+
+   /**
+    * Gets the chain id given to the Api or, when missing, the id of the network the provider is connected to
+    *
+    * @return   {Promise<Number, Error>}    A promise that resolves with the chain id or rejects with a ContractRevertError
+    */
+    async getChainId() {
+        if(this.chainId) return this.chainId
+        try {
+            return Number(await this.web3.eth.net.getId())
+        }catch(err){
+            throw new ContractRevertError(`Unable to get the network id: ${err.message}`, {}, err)
+        }
+    }
+
+   /**
+    * Gets a transaction by its hash
+    *
+    * @param    {String}  transactionHash   transaction's hash
+    * @return   {Promise<Object, Error>}    A promise that resolves with the transaction or rejects with a ContractRevertError
+    */
+    async getTransaction(transactionHash) {
+        try {
+            return await this.web3.eth.getTransaction(transactionHash)
+        }catch(err){
+            throw new ContractRevertError(`Unable to get the transaction ${transactionHash}: ${err.message}`, { transactionHash }, err)
+        }
+    }
+
+   /**
+    * Decodes a transaction input that calls a contract method
+    *
+    * @param    {Object}  contract   contract proxy
+    * @param    {String}  name       method's name
+    * @param    {String}  input      transaction input
+    * @return   {Object}             decoded parameters or null when the input calls another method
+    */
+    decodeMethodInput(contract, name, input) {
+        const abiItem = contract.options.jsonInterface.find(item => item.type === 'function' && item.name === name)
+        if(!input || input.slice(0, 10) !== this.web3.eth.abi.encodeFunctionSignature(abiItem)) return null
+        return this.web3.eth.abi.decodeParameters(abiItem.inputs, `0x${input.slice(10)}`)
+    }
+
+   /**
+    * Signs a message prefixed as in EIP-191
+    *
+    * @param    {String}  seed            message to sign
+    * @param    {Signer}  [signer=null]   signer. Defaults to the default sender's signer
+    * @return   {Promise<String, Error>}  A promise that resolves with the signature or rejects with a SignatureError
+    */
+    async signCredentials(seed, signer = null) {
         try {
-            let accounts = await this.web3.eth.getAccounts()
-            const signature = await this.web3.eth.sign(seed, accounts[0])
+            const signature = await (signer ? signer : this.getSigner()).signMessage(seed)
             return signature
         }catch(err){
-            return false
+            throw new SignatureError('Unable to sign the credentials', {}, err)
         }
     }
 
@@ -69,11 +389,18 @@ class Web3Service {
             const signer = await this.web3.eth.accounts.recover(seed, signature)
             return signer
         }catch(err){
-            return null
+            throw new SignatureError('Unable to recover the credentials signer', {}, err)
         }
     }
 
 }
 
+/**
+ * Checks whether a provider rejected eth_accounts because it manages no accounts
+ *
+ * @param   {Error}     err    provider's error
+ * @returns {Boolean}          the provider has no accounts
+ */
+const isNoAccountsError = err => err.code === -32601 || /eth_accounts.*(does not exist|not available|not supported)|method not found|no accounts/i.test(err.message)
 
-export { Web3Service }
\ No newline at end of file
+export { Web3Service }
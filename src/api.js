@@ -1,17 +1,35 @@
 import * as Moment from 'moment'
 import { IpfsService } from './IpfsService'
 import { IdentityDag } from './IdentityDag'
+import { ProfileEditor } from './ProfileEditor'
+import { AuthSession } from './AuthSession'
+import { 
+    IdentityError, ProfileConflictError, DecryptionError, SignatureError, ChallengeError, ValidationError, ContractRevertError,
+    NodeNotFoundError, StorageError 
+} from './errors'
 import { Web3Service } from './Web3Service'
+import { AbiDecoder } from './AbiDecoder'
 import { QRCode } from './utils/QRCode'
 import { Crypto } from './utils/Crypto'
-import { ethAddresses, DEFAULT_NETWORK } from './config/ethereum'
-import { ipfsProvider } from './config/ipfs'
+import { AuthChallenge } from './utils/AuthChallenge'
+import { Did } from './utils/Did'
+import { VerifiableCredential } from './credentials/VerifiableCredential'
+import { Attestation } from './attestations/Attestation'
+import { RevocationList } from './attestations/RevocationList'
+import { SaleOffer } from './sales/SaleOffer'
+import { Listing } from './marketplace/Listing'
+import { PurchaseRequest } from './marketplace/PurchaseRequest'
+import { IpfsStorage } from './storage/IpfsStorage'
+import { ProfileSchema } from './schema/ProfileSchema'
+import { DEFAULT_NETWORK } from './config/ethereum'
+import { resolveOptions, isApiOptions } from './config/options'
 
 // contracts abi
 const IdentityProtocol = require('./contracts/abi/IdentityProtocol.json')
 const Identity = require('./contracts/abi/Identity.json')
 const MultiSigIdentity = require('./contracts/abi/MultiSigIdentity.json')
 const Token = require('./contracts/abi/Token.json')
+const HashLockEscrow = require('./contracts/abi/HashLockEscrow.json')
 
 /**
  * Exposes methods to interact with Swapy Identities or create them 
@@ -21,23 +39,46 @@ const Token = require('./contracts/abi/Token.json')
 class Api {
 
     /**
-     * Creates an instance of Api with the ethereum http provider, default account and ethereum network
-     * @param {String} httpProvider                     ethereum http provider
+     * Creates an instance of Api with the ethereum http provider, default account and ethereum network.
+     * An options object may be given as the only argument instead (see config/options).
+     *
+     * @param {String|Object} httpProvider              ethereum http provider or the Api options
      * @param {String} [privateKey=null]                default account's private key
      * @param {String} [_networkName=DEFAULT_NETWORK]   ethereum network name ropsten/rinkeby/ganache
+     * @param {StorageAdapter} [storage=null]           profile storage backend. Defaults to the configured IPFS node
      * @memberof Api
      */
-    constructor( httpProvider, privateKey = null, _networkName = DEFAULT_NETWORK) {
-        this.ipfsService = new IpfsService(ipfsProvider.host, ipfsProvider.port, ipfsProvider.protocol)
-        this.web3Service = new Web3Service(httpProvider)
+    constructor( httpProvider, privateKey = null, _networkName = DEFAULT_NETWORK, storage = null) {
+        const options = resolveOptions(isApiOptions(httpProvider) ? httpProvider : {
+            provider: httpProvider, privateKey, network: _networkName, storage
+        })
+        this.options = options
+        this.ipfsService = new IpfsService(options.storage ? options.storage 
+            : new IpfsStorage(options.ipfs.host, options.ipfs.port, options.ipfs.protocol))
+        this.ipfsService.setSchema(options.schema)
+        this.web3Service = new Web3Service(options.provider, options)
         this.IdentityContract = this.web3Service.factoryContract(Identity.abi)
         this.MultiSigIdentityContract = this.web3Service.factoryContract(MultiSigIdentity.abi)
         this.IdentityProtocolContract = this.web3Service
-            .factoryContract(IdentityProtocol.abi, ethAddresses[_networkName].protocol)
-        this.TokenContract = this.web3Service.factoryContract(Token.abi, ethAddresses[_networkName].token)
-        if(privateKey) this.addAccountFromPrivateKey(privateKey)
+            .factoryContract(IdentityProtocol.abi, options.addresses.protocol)
+        this.TokenContract = this.web3Service.factoryContract(Token.abi, options.addresses.token)
+        this.EscrowContract = options.addresses.escrow ? this.web3Service.factoryContract(HashLockEscrow.abi, options.addresses.escrow) : null
+        this.abiDecoder = new AbiDecoder(this.web3Service.getWeb3())
+            .addAbi('Token', Token.abi)
+            .addAbi('IdentityProtocol', IdentityProtocol.abi)
+            .addAbi('MultiSigIdentity', MultiSigIdentity.abi)
+            .addAbi('Identity', Identity.abi)
+            .addAbi('HashLockEscrow', HashLockEscrow.abi)
+        if(options.privateKey) this.addAccountFromPrivateKey(options.privateKey)
         this.defaultOptions = this.web3Service.defaultOptions
+        this.chainId = this.web3Service.chainId
         this.utils = this.web3Service.utils
+        this.nonceStore = options.nonceStore
+        this.revocationLists = new Map()
+        this.revocationSequences = new Map(Object.keys(options.revocationSequences).map(address => [address, options.revocationSequences[address]]))
+        this.revocationNames = new Map()
+        this.identityCreations = new Map()
+        this.identityCreationsBlock = 0
     }
 
     /**
@@ -50,6 +91,40 @@ class Api {
         const account = this.web3Service.privateKeyToAccount(privateKey)
         this.web3Service.addAccount(account)
     }
+
+    /**
+     * Adds a signer, e.g. a KeystoreSigner, a ProviderSigner for a browser wallet's account or a hardware wallet's. 
+     * The first account set becomes the default sender
+     * 
+     * @param {Signer} signer               signer
+     * @returns {Promise<String, Error>}    A promise that resolves with the signer's address or rejects with an error
+     * @memberof Api
+     */
+    async addSigner(signer) {
+        return await this.web3Service.addSigner(signer)
+    }
+
+    /**
+     * Picks the signer for an identity's owner: the one given, the one of opt.from, or else the first account 
+     * set that owns the identity, the default sender first
+     * 
+     * @param {String} identity                               identity's contract address
+     * @param {Object} [opt={ from: null, signer: null }]     signing options
+     * @param {String} opt.from                               owner's address
+     * @param {Signer} opt.signer                             owner's signer
+     * @returns {Promise<Signer, Error>}                      A promise that resolves with the signer or rejects with a SignatureError 
+     *                                                        when no account set owns the identity
+     * @memberof Api
+     */
+    async getIdentitySigner(identity, opt = { from: null, signer: null }) {
+        if(opt.signer) return opt.signer
+        if(opt.from) return this.web3Service.getSigner(opt.from)
+        const { owners } = await this.getIdentityOwners(identity)
+        const addresses = [this.defaultOptions.from].concat(await this.web3Service.getAddresses())
+        const owner = addresses.find(address => owners.some(current => sameAddress(current, address)))
+        if(!owner) throw new SignatureError(`None of the accounts set owns ${identity}`, { identity })
+        return this.web3Service.getSigner(owner)
+    }
                           
     /**
      * Gets web3 instance.
@@ -67,11 +142,23 @@ class Api {
      */
     getProtocolAddress() { return this.IdentityProtocolContract.options.address }
 
+    /**
+     * Sets the schema profile insertions and updates are validated against before anything is uploaded.
+     * Invalid data rejects with an error whose "errors" list each node's problem
+     * 
+     * @param   {ProfileSchema|Object}  schema   profile schema, its definition, or null to disable validation
+     * @memberof Api
+     */
+    setProfileSchema(schema) {
+        if(schema && !(schema instanceof ProfileSchema)) schema = new ProfileSchema(schema)
+        this.ipfsService.setSchema(schema ? schema : null)
+    }
+
     /**
      * Instantiates a new profile tree.
      * 
      * @param   {Object[]}                  [profileDataNodes=[]]    Profile's tree nodes for insertion on IPFS   
-     * @param   {String}                    [publicKey=null]         User's public key. Used to encrypt his data
+     * @param   {String}                    [publicKey=null]         User's public key. Used to encrypt his data and required when nodes are given
      * @returns {Promise<Object, Error>}                             A promise that resolves with the transaction object or rejects with an error
      * @memberof Api
      */
@@ -90,6 +177,10 @@ class Api {
      * @param   {String}                    opt.from                                             set the tx sender
      * @param   {Number}                    opt.gas                                              set the tx gas limit
      * @param   {String}                    opt.gasPrice                                         set the tx gas price in gwei
+     * @param   {Integer}                   opt.nonce                                            set the tx nonce
+     * @param   {Boolean}                   opt.prepare                                          return the unsigned transaction instead of sending it
+     * @param   {Boolean}                   opt.estimate                                         resolve with what the transaction costs instead of sending it
+     * @param   {Signer}                    opt.signer                                           sign with this signer instead of opt.from's
      * @returns {Promise<Object, Error>}                                                         A promise that resolves with the transaction object or rejects with an error
      * @memberof Api
      */
@@ -97,9 +188,8 @@ class Api {
         const from = opt.from ? opt.from : this.defaultOptions.from
         const gas = opt.gas ? opt.gas : this.defaultOptions.gas
         const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
-        return this.IdentityProtocolContract.methods
-        .createPersonalIdentity(this.utils.asciiToHex(identityId),this.utils.asciiToHex(profileHash))
-        .send({ from, gas, gasPrice })
+        return this.web3Service.send(this.IdentityProtocolContract.methods.createPersonalIdentity(this.utils.asciiToHex(identityId),this.utils.asciiToHex(profileHash)),
+            { to: this.IdentityProtocolContract.options.address, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { method: 'createPersonalIdentity' })
     }
 
     /**
@@ -114,6 +204,10 @@ class Api {
      * @param   {String}                 opt.from                                             set the tx sender
      * @param   {Number}                 opt.gas                                              set the tx gas limit
      * @param   {String}                 opt.gasPrice                                         set the tx gas price in gwei 
+     * @param   {Integer}                opt.nonce                                            set the tx nonce
+     * @param   {Boolean}                opt.prepare                                          return the unsigned transaction instead of sending it
+     * @param   {Boolean}                opt.estimate                                         resolve with what the transaction costs instead of sending it
+     * @param   {Signer}                 opt.signer                                           sign with this signer instead of opt.from's
      * @returns {Promise<Object, Error>}                                                      A promise that resolves with the transaction object or rejects with an error 
      * @memberof Api
      */
@@ -121,9 +215,8 @@ class Api {
         const from = opt.from ? opt.from : this.defaultOptions.from
         const gas = opt.gas ? opt.gas : this.defaultOptions.gas
         const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
-        return this.IdentityProtocolContract.methods
-        .createMultiSigIdentity(this.utils.asciiToHex(identityId),this.utils.asciiToHex(profileHash), owners, required)
-        .send({ from, gas, gasPrice })
+        return this.web3Service.send(this.IdentityProtocolContract.methods.createMultiSigIdentity(this.utils.asciiToHex(identityId),this.utils.asciiToHex(profileHash), owners, required),
+            { to: this.IdentityProtocolContract.options.address, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { method: 'createMultiSigIdentity' })
     }
 
     /**
@@ -145,134 +238,323 @@ class Api {
      * @memberof Api
      */
     async getIdentityById(identityId) {
-        const identityAddress = await this.IdentityProtocolContract.methods
-            .getIdentity(this.utils.asciiToHex(identityId))
-            .call()
+        const identityAddress = await this.web3Service.call(this.IdentityProtocolContract.methods
+            .getIdentity(this.utils.asciiToHex(identityId)), { method: 'getIdentity' })
         return identityAddress
     }
     
     /**
-     * Creates a random seed and hash it
-     * @param   {Object[]} authNodes        List of requested data 
-     * @param   {String}   authNodes.label  Node label
-     * @param   {boolean} [QRencode=false]  generate a QRCode with the hashed seed
-     * @returns                             Random hash
+     * Creates a random seed, a challenge bound to it and starts an authorization session for them
+     * @param   {Object[]} authNodes                                                    List of requested data 
+     * @param   {String}   authNodes.label                                              Node label
+     * @param   {boolean}  [QRencode=false]                                             generate a QRCode with the seed and the challenge
+     * @param   {Object}   [opt={ identity: null, domain: null, ttl: null, threshold: 1, backoff: {} }] session options
+     * @param   {String}   opt.identity                                                 Identity's address asked for the authorization
+     * @param   {String}   opt.domain                                                   relying party's domain. Defaults to the Api option domain, swapy.network unless set
+     * @param   {Integer}  opt.ttl                                                      challenge validity in ms. Defaults to 5 minutes
+     * @param   {Integer}  opt.threshold                                                owner signatures a multi sig identity needs, or the string 'required'
+     * @param   {Object}   opt.backoff                                                  delays between checks { initialDelay, factor, maxDelay }
+     * @returns {AuthSession}                                                           session holding challenge, authNodes, publicKey, privateKey and QRCode
      * @memberof Api
      */
-    async initEccAuth(authNodes, QRencode = false) {
+    async initEccAuth(authNodes, QRencode = false, opt = { identity: null, domain: null, ttl: null, threshold: 1, backoff: {} }) {
         const eccPair = Crypto.createPublicPrivatePair()
         const publicKey = eccPair.publicKey
         const privateKey = eccPair.privateKey
-        const ipfsSuccess = await this.ipfsService.initAuth(publicKey)
-        if(ipfsSuccess) {
-            let authObject = { authNodes, publicKey, privateKey }
-            if(QRencode) {
-                const qrCodeObj = JSON.stringify({publicKey, authNodes})
-                authObject.QRCode = QRCode.getQRUri(qrCodeObj)
-            }
-            return authObject
-        }else return false
-        
-    }
-
-    /**
-     * Creates a pooling for the Identity attestation
-     * 
-     * @param   {String}     identity    Identity's address
-     * @param   {String}     seed        auth seed
-     * @param   {Boolean}    authorized  Identity's attestation 
-     * @memberof Api
-     */
-    async authPooling(identity, seed, authPrivKey, cb, auth) {
-        const watcher = setTimeout( async () => {
-            auth = await this.checkAuthorized(identity, seed, authPrivKey)
-            await this.watchCredentials(identity, seed, authPrivKey,cb, auth)
-        },2000)
+        const challenge = AuthChallenge.create({
+            domain: opt.domain ? opt.domain : this.options.domain,
+            identity: opt.identity ? opt.identity : null,
+            publicKey,
+            labels: authNodes.map(node => node.label),
+            ttl: opt.ttl ? opt.ttl : undefined,
+            threshold: opt.threshold ? opt.threshold : undefined
+        })
+        await this.ipfsService.initAuth(publicKey)
+        let session = new AuthSession(this, opt.identity, challenge, authNodes, privateKey, opt.backoff)
+        if(QRencode) {
+            const qrCodeObj = JSON.stringify({publicKey, authNodes, challenge})
+            session.QRCode = QRCode.getQRUri(qrCodeObj)
+        }
+        return session
     }
 
     /**
      * Watch for Identity's credential attestation
      * 
-     * @param   {String}  identity                           Identity's address
-     * @param   {String}  seed                               auth seed
-     * @param   {String}  authPrivKey                        Ecc auth private key. 
-     * @param   {Object}  [authorized={ authorized: false }] Identity's attestation
-     * @returns {Boolean}                                    Identity is attested
+     * @param   {String}    identity      Identity's address
+     * @param   {Object}    challenge     auth challenge created by initEccAuth
+     * @param   {String}    authPrivKey   Ecc auth private key. 
+     * @param   {Function}  cb            called with the Identity's attestation once authorized
+     * @returns {AuthSession}             the session being watched. Close it to stop watching
      * @memberof Api
      */
-    async watchCredentials(identity, seed, authPrivKey, cb, auth = { authorized: false }) {
-        if(!auth.authorized) await this.authPooling(identity, seed, authPrivKey, cb, auth)
-        else cb(auth)
+    watchCredentials(identity, challenge, authPrivKey, cb) {
+        const session = new AuthSession(this, identity, challenge, [], authPrivKey)
+        session.on('authorized', cb)
+        session.wait().catch(() => {})
+        return session
     }
 
     /**
-     * Attests Identity's credentials
+     * Attests Identity's credentials. The owner's signature must answer the challenge given: 
+     * same relying party domain, nonce, labels and auth key, not expired and not accepted before.
+     * Multi sig identities are authorized once the challenge's threshold of active owners signed it
      *
      * @param   {String}     identity     Identity's address
-     * @param   {String}     seed         auth seed
+     * @param   {Object}     challenge    auth challenge created by initEccAuth
      * @param   {String}     authPrivKey  Ecc auth private key. Used to decrypt the auth signature and the identity data
-     * @returns {Object}                  An object that contains a boolean and the Identity's data when authorized
+     * @returns {Object}                  An object that contains a boolean, the credentials' signer, the owners who signed, the signatures 
+     *                                    required and the Identity's data when authorized. No signer when the credentials were not set yet. 
+     *                                    Rejects with an AuthTimeoutError when the challenge expired, a ChallengeError when the signed 
+     *                                    challenge differs or was replayed
      * @memberof Api
      */ 
-    async checkAuthorized(identity, seed, authPrivKey) {
+    async checkAuthorized(identity, challenge, authPrivKey) {
         let authObject = { authorized : false }
-        const authCredentials = await this.ipfsService.getAuthCredentials(seed)
-        if(authCredentials) {
-            const decryptedSign = await Crypto.decryptEcc(authPrivKey, authCredentials.credentials)
-            const signer = await this.web3Service.getCredentialsSigner(seed, decryptedSign.replace(/^"(.*)"$/, '$1'))
-            if(signer) {
-                try {
-                    this.IdentityContract.options.address = identity
-                    const identityOwner = await this.IdentityContract.methods.owner().call()
-                    authObject.authorized = identityOwner == signer
-                    const dataKeys = Object.keys(authCredentials.credentialsData)
-                    if(dataKeys.length > 0){
-                        let promises = []
-                        dataKeys.forEach(nodeLabel => { promises.push(this.decryptCredentialsData(authCredentials, nodeLabel, authPrivKey)) })
-                        return Promise.all(promises).then(data => {
-                            authObject.data = authCredentials.credentialsData
-                            return authObject
-                        })
-                    }
-                }catch(err){}
-            } 
+        const authCredentials = await this.ipfsService.getAuthCredentials(challenge.publicKey)
+        if(!authCredentials) {
+            AuthChallenge.assertValid(challenge, identity)
+            return authObject
+        }
+        const signer = await this.recoverChallengeSigner(identity, challenge, authCredentials.credentials, authPrivKey)
+        if(await this.nonceStore.has(challenge.nonce))
+            throw new ChallengeError('Auth challenge was already answered', 'replayed', { identity, nonce: challenge.nonce })
+        const { multiSig, owners, required } = await this.getIdentityOwners(identity)
+        const threshold = challenge.threshold === 'required' ? required : (challenge.threshold ? challenge.threshold : 1)
+        if(threshold > owners.length) 
+            throw new ValidationError(`Authorization requires ${threshold} signatures but ${identity} has ${owners.length} owners`, { identity })
+        let signers = owners.filter(owner => sameAddress(owner, signer))
+        if(multiSig && signers.length > 0 && signers.length < threshold) {
+            const cosigners = owners.filter(owner => !sameAddress(owner, signer))
+            const cosigned = await Promise.all(cosigners.map(owner => this.checkCosignature(identity, challenge, owner, authPrivKey)))
+            signers = signers.concat(cosigners.filter((owner, i) => cosigned[i]))
+        }
+        authObject = { authorized: signers.length >= threshold, signer, signers, required: threshold, multiSig }
+        if(!authObject.authorized) return authObject
+        await this.useAuthNonce(identity, challenge)
+        const dataKeys = Object.keys(authCredentials.credentialsData).filter(nodeLabel => challenge.labels.indexOf(nodeLabel) >= 0)
+        if(dataKeys.length > 0){
+            let promises = []
+            dataKeys.forEach(nodeLabel => { promises.push(this.decryptCredentialsData(authCredentials, nodeLabel, authPrivKey)) })
+            await Promise.all(promises)
+            authObject.data = {}
+            dataKeys.forEach(nodeLabel => { authObject.data[nodeLabel] = authCredentials.credentialsData[nodeLabel] })
         }
         return authObject        
     }
 
+    /**
+     * Checks an identity co-owner signed the challenge
+     *
+     * @param   {String}     identity     Identity's address
+     * @param   {Object}     challenge    auth challenge
+     * @param   {String}     owner        co-owner's address
+     * @param   {String}     authPrivKey  Ecc auth private key
+     * @returns {Boolean}                 the co-owner's signature answers the challenge
+     * @memberof Api
+     */
+    async checkCosignature(identity, challenge, owner, authPrivKey) {
+        const credentials = await this.ipfsService.getAuthSignature(challenge.publicKey, owner)
+        if(!credentials) return false
+        try {
+            const signer = await this.recoverChallengeSigner(identity, challenge, credentials, authPrivKey)
+            return sameAddress(signer, owner)
+        }catch(err){
+            if(err instanceof ChallengeError || err instanceof DecryptionError || err instanceof SignatureError) return false
+            throw err
+        }
+    }
+
+    /**
+     * Decrypts signed credentials, checks they answer the challenge and recovers their signer
+     *
+     * @param   {String}     identity     Identity's address
+     * @param   {Object}     challenge    auth challenge
+     * @param   {Object}     credentials  encrypted signed challenge
+     * @param   {String}     authPrivKey  Ecc auth private key
+     * @returns {String}                  signer's address
+     * @memberof Api
+     */
+    async recoverChallengeSigner(identity, challenge, credentials, authPrivKey) {
+        const signed = parseSignedChallenge(await Crypto.decryptEcc(authPrivKey, credentials))
+        AuthChallenge.assertMatches(challenge, signed.challenge, identity)
+        return await this.web3Service.getCredentialsSigner(AuthChallenge.message(challenge), signed.signature)
+    }
+
+    /**
+     * Gets the active owners of an identity. The identity's type comes from its IdentityCreated event.
+     * Multi sig identities' owners are rebuilt from the creation call and the OwnerAdded and OwnerRemoved events
+     *
+     * @param   {String}     identity     Identity's address
+     * @returns {Promise<Object, Error>}  A promise that resolves with { multiSig, owners, required, createdAt } or rejects with an error.
+     *                                    createdAt is the creation timestamp, null when the identity wasn't created by the protocol
+     * @memberof Api
+     */
+    async getIdentityOwners(identity) {
+        const creation = await this.getIdentityCreation(identity)
+        const createdAt = creation ? creation.createdAt : null
+        if(!creation || !creation.multiSig) {
+            this.IdentityContract.options.address = identity
+            const owner = await this.web3Service.call(this.IdentityContract.methods.owner(), { identity, method: 'owner' })
+            return { multiSig: false, owners: [owner], required: 1, createdAt }
+        }
+        if(!creation.params)
+            throw new IdentityError(`Unable to rebuild the owners of ${identity}: its creation call cannot be found`, { identity })
+        this.MultiSigIdentityContract.options.address = identity
+        const events = await this.MultiSigIdentityContract.getPastEvents('allEvents', { fromBlock: creation.blockNumber })
+        let owners = creation.params._owners.slice()
+        events.forEach(event => {
+            if(event.event === 'OwnerAdded') owners.push(event.returnValues.owner)
+            if(event.event === 'OwnerRemoved') owners = owners.filter(owner => !sameAddress(owner, event.returnValues.owner))
+        })
+        const activeOwners = await this.web3Service.call(this.MultiSigIdentityContract.methods.activeOwners(), { identity, method: 'activeOwners' })
+        if(Number(activeOwners) !== owners.length)
+            throw new IdentityError(`Unable to rebuild the owners of ${identity}: ${owners.length} found, ${activeOwners} active`, { identity })
+        const required = await this.web3Service.call(this.MultiSigIdentityContract.methods.required(), { identity, method: 'required' })
+        return { multiSig: true, owners, required: Number(required), createdAt }
+    }
+
+    /**
+     * Finds how an identity was created: its IdentityCreated event and the protocol call's arguments, following calls
+     * forwarded by an identity or executed by a multi sig identity. Creations never change, so they are cached per identity
+     * and the protocol's events are only scanned from the last block seen
+     *
+     * @param   {String}     identity     Identity's address
+     * @returns {Promise<Object, Error>}  A promise that resolves with { multiSig, createdAt, blockNumber, transactionHash, params },
+     *                                    or null when the identity wasn't created by the protocol. params is null when the call cannot be decoded
+     * @memberof Api
+     */
+    async getIdentityCreation(identity) {
+        const key = identity.toLowerCase()
+        if(!this.identityCreations.has(key)) {
+            const logs = await this.IdentityProtocolContract.getPastEvents('IdentityCreated', { fromBlock: this.identityCreationsBlock })
+            logs.forEach(log => {
+                const address = log.returnValues.identity.toLowerCase()
+                if(!this.identityCreations.has(address)) this.identityCreations.set(address, { log, params: undefined })
+                this.identityCreationsBlock = Math.max(this.identityCreationsBlock, log.blockNumber)
+            })
+        }
+        const cached = this.identityCreations.get(key)
+        if(!cached) return null
+        const { log } = cached
+        const multiSig = Number(log.returnValues.identityType) === IDENTITY_TYPES.multiSig
+        if(cached.params === undefined) {
+            const transaction = await this.web3Service.getTransaction(log.transactionHash)
+            cached.params = transaction ? await this.findCreationCall(transaction.to, transaction.input, multiSig) : null
+        }
+        return {
+            multiSig,
+            createdAt: Number(log.returnValues.timestamp),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            params: cached.params
+        }
+    }
+
+    /**
+     * Decodes the protocol call that created an identity out of a call's data, unwrapping forward and executeTransaction calls
+     *
+     * @param   {String}     to           called contract's address
+     * @param   {String}     data         call data
+     * @param   {Boolean}    multiSig     the identity is a multi sig identity
+     * @param   {Integer}    [depth=0]    calls unwrapped so far
+     * @returns {Promise<Object, Error>}  A promise that resolves with the creation call's arguments or null when it cannot be found
+     * @memberof Api
+     */
+    async findCreationCall(to, data, multiSig, depth = 0) {
+        const name = multiSig ? 'createMultiSigIdentity' : 'createPersonalIdentity'
+        const params = this.web3Service.decodeMethodInput(this.IdentityProtocolContract, name, data)
+        if(params || depth >= MAX_CREATION_CALL_DEPTH) return params
+        const call = this.abiDecoder.decode(data)
+        if(call && call.contract === 'Identity' && call.name === 'forward')
+            return this.findCreationCall(call.params.to, call.params.data, multiSig, depth + 1)
+        if(call && call.contract === 'MultiSigIdentity' && call.name === 'executeTransaction') {
+            this.MultiSigIdentityContract.options.address = to
+            const transaction = await this.web3Service.call(this.MultiSigIdentityContract.methods.transactions(call.params.transactionId),
+                { identity: to, method: 'transactions' })
+            return this.findCreationCall(transaction.to, transaction.data, multiSig, depth + 1)
+        }
+        return null
+    }
+
+    /**
+     * Marks a challenge's nonce as answered in the nonce store until the challenge expires
+     *
+     * @param   {String}   identity    Identity's address
+     * @param   {Object}   challenge   auth challenge
+     * @returns {Promise<Boolean, Error>}  A promise that resolves once marked or rejects with a ChallengeError when another
+     *                                     check accepted the answer meanwhile
+     * @memberof Api
+     */
+    async useAuthNonce(identity, challenge) {
+        if(!(await this.nonceStore.use(challenge.nonce, Date.parse(challenge.expiresAt))))
+            throw new ChallengeError('Auth challenge was already answered', 'replayed', { identity, nonce: challenge.nonce })
+        return true
+    }
+
     async decryptCredentialsData(authCredentials, nodeLabel, authPrivKey){
-        const decriptedData = await Crypto.decryptEcc(authPrivKey, authCredentials.credentialsData[nodeLabel])
-        authCredentials.credentialsData[nodeLabel] = JSON.parse(decriptedData)
+        try {
+            const decriptedData = await Crypto.decryptEcc(authPrivKey, authCredentials.credentialsData[nodeLabel])
+            authCredentials.credentialsData[nodeLabel] = JSON.parse(decriptedData)
+        }catch(err){
+            throw new DecryptionError(`Unable to decrypt the credentials data of ${nodeLabel}`, { label: nodeLabel }, err)
+        }
     }
 
     /**
-     * Sets Identity's credentials
+     * Sets Identity's credentials: signs the challenge with the owner's account and shares the requested labels' data.
+     * The relying party's domain should be shown to the owner before calling it
      * 
-     * @param    {String}    seed             auth seed
-     * @param    {Object[]}  authNodes        List of requested data 
-     * @param    {String}    authNodes.label  Node label
+     * @param    {String}    identity         Identity's address
+     * @param    {Object}    challenge        auth challenge read from the relying party's QRCode
+     * @param    {String}    privateKey       User's private key. Used to decrypt the requested data
+     * @param    {Object}    [opt={ from: null, signer: null }]   signing options. An account set owning the identity signs by default
+     * @param    {String}    opt.from         owner's address
+     * @param    {Signer}    opt.signer       owner's signer
      * @returns  {Promise}                    A promise to insert the Credentials on IPFS 
      * @memberof Api
      */
-    async setCredentials(identity, seed, privateKey, authNodes = []) {
-        const signature = await this.web3Service.signCredentials(seed)
-        const authSignature = await Crypto.encryptEcc(seed, JSON.stringify(signature)) 
-        if(authNodes){
+    async setCredentials(identity, challenge, privateKey, opt = { from: null, signer: null }) {
+        AuthChallenge.assertValid(challenge, identity)
+        const seed = challenge.publicKey
+        const signer = await this.getIdentitySigner(identity, opt)
+        const signature = await this.web3Service.signCredentials(AuthChallenge.message(challenge), signer)
+        const authSignature = await Crypto.encryptEcc(seed, JSON.stringify({ challenge, signature })) 
+        let credentialsData = {}
+        if(challenge.labels.length > 0){
             const identityTree = await this.getIdentityData(identity, true, privateKey)
-            let credentialsData = {}
             let promises = []
-            authNodes.map( node => { 
-                promises.push(this.fillCredentialsData(identityTree, seed, node, credentialsData))
-            })
-            Promise.all(promises).then(async() => {
-                return await this.ipfsService.setAuthCredentials(seed, JSON.stringify(authSignature), credentialsData)
+            challenge.labels.forEach(label => { 
+                promises.push(this.fillCredentialsData(identityTree, seed, { label }, credentialsData))
             })
+            await Promise.all(promises)
         }
-        return await this.ipfsService.setAuthCredentials(seed, JSON.stringify(authSignature), {})
+        return await this.ipfsService.setAuthCredentials(seed, JSON.stringify(authSignature), credentialsData)
+    }
+
+    /**
+     * Adds a co-owner's signature to the credentials of a multi sig identity. 
+     * The first owner shares the requested data with setCredentials
+     * 
+     * @param    {String}    identity         Identity's address
+     * @param    {Object}    challenge        auth challenge read from the relying party's QRCode
+     * @param    {Object}    [opt={ from: null, signer: null }]   signing options. An account set owning the identity signs by default
+     * @param    {String}    opt.from         co-owner's address
+     * @param    {Signer}    opt.signer       co-owner's signer
+     * @returns  {Promise}                    A promise to insert the signature on IPFS 
+     * @memberof Api
+     */
+    async cosignCredentials(identity, challenge, opt = { from: null, signer: null }) {
+        AuthChallenge.assertValid(challenge, identity)
+        const message = AuthChallenge.message(challenge)
+        const signature = await this.web3Service.signCredentials(message, await this.getIdentitySigner(identity, opt))
+        const signer = await this.web3Service.getCredentialsSigner(message, signature)
+        const authSignature = await Crypto.encryptEcc(challenge.publicKey, JSON.stringify({ challenge, signature }))
+        return await this.ipfsService.setAuthSignature(challenge.publicKey, signer, JSON.stringify(authSignature))
     }
 
     async fillCredentialsData(tree, seed, authNode, credentialsData){
-        let treeNode = IdentityDag.dfs(tree, authNode.label)
+        let treeNode = IdentityDag.getNode(tree, authNode.label)
         const dataPayload = { data : treeNode.data, salt: treeNode.salt }
         const data = await Crypto.encryptEcc(seed, JSON.stringify(dataPayload)) 
         credentialsData[authNode.label] = data
@@ -280,11 +562,11 @@ class Api {
     }
     
     /**
-     * Returns Identity's transactions.
+     * Returns Identity's transactions. Each event's data is decoded with the registered ABIs
      * 
      * @param   {String}   identity         the profile data location on IPFS
      * @param   {boolean}  [multiSig=false] multi sign transactions or not
-     * @returns {Object[]}                  An array with the past events
+     * @returns {Object[]}                  An array with the past events. Their decoded call is set on decoded, null when unknown
      * @memberof Api
      */
     async getTransactions(identity, multiSig = false) {
@@ -296,7 +578,83 @@ class Api {
             this.MultiSigIdentityContract.options.address = identity
             logs = await this.MultiSigIdentityContract.getPastEvents('TransactionCreated', { fromBlock: 0 })
         }
-        return logs
+        return logs.map(log => Object.assign(log, { decoded: this.abiDecoder.decode(log.returnValues.data) }))
+    }
+
+    /**
+     * Registers a contract's ABI so the calls to its methods are decoded
+     * 
+     * @param   {String}     name      contract's name, e.g. MyToken
+     * @param   {Object[]}   abi       contract's abi
+     * @memberof Api
+     */
+    addAbi(name, abi) {
+        this.abiDecoder.addAbi(name, abi)
+    }
+
+    /**
+     * Decodes call data, e.g. the data of a Forwarded or TransactionCreated event
+     * 
+     * @param   {String}     data      call data
+     * @returns {Object}               { contract, name, signature, params, profileHash } or null when no registered abi holds the method. 
+     *                                 profileHash is the IPFS profile a setFinancialData call or an identity creation anchors
+     * @memberof Api
+     */
+    decodeCallData(data) {
+        return this.abiDecoder.decode(data)
+    }
+
+    /**
+     * Returns the state of a multi sig identity's transactions: destination, value, decoded call, signers so far, 
+     * required signatures, whether they are still active and whether they were executed
+     * 
+     * @param   {String}    identity                                        identity's contract address 
+     * @param   {Object}    [filter={ pending: false, awaiting: null }]     transactions filter
+     * @param   {Boolean}   filter.pending                                  only the active transactions not executed yet
+     * @param   {String}    filter.awaiting                                 only the pending transactions this current owner hasn't signed yet. 
+     *                                                                      None when the address doesn't own the identity
+     * @returns {Promise<Object[], Error>}                                  A promise that resolves with the transactions 
+     *                                                                      { id, creator, destination, value, data, call, signers, signCount, 
+     *                                                                      required, active, executable, executed, executor, createdAt } or rejects with an error
+     * @memberof Api
+     */
+    async getMultiSigTransactions(identity, filter = { pending: false, awaiting: null }) {
+        if(filter.awaiting) {
+            const { owners } = await this.getIdentityOwners(identity)
+            if(!owners.some(owner => sameAddress(owner, filter.awaiting))) return []
+        }
+        this.MultiSigIdentityContract.options.address = identity
+        const events = await this.MultiSigIdentityContract.getPastEvents('allEvents', { fromBlock: 0 })
+        const required = Number(await this.web3Service.call(this.MultiSigIdentityContract.methods.required(), { identity, method: 'required' }))
+        const created = events.filter(event => event.event === 'TransactionCreated')
+        const transactions = await Promise.all(created.map(async event => {
+            const id = Number(event.returnValues.transactionId)
+            const ofTransaction = name => events.filter(current => current.event === name && Number(current.returnValues.transactionId) === id)
+            const executions = ofTransaction('TransactionExecuted')
+            const state = await this.web3Service.call(this.MultiSigIdentityContract.methods.transactions(id), { identity, method: 'transactions' })
+            const signCount = Number(state.signCount)
+            return {
+                id,
+                creator: event.returnValues.creator,
+                destination: event.returnValues.destination,
+                value: event.returnValues.value,
+                data: event.returnValues.data,
+                call: this.abiDecoder.decode(event.returnValues.data),
+                signers: ofTransaction('TransactionSigned').map(signed => signed.returnValues.signer),
+                signCount,
+                required,
+                active: state.active,
+                executable: state.active && !state.executed && signCount >= required,
+                executed: state.executed,
+                executor: executions.length > 0 ? executions[0].returnValues.executor : null,
+                createdAt: Number(event.returnValues.timestamp)
+            }
+        }))
+        return transactions.filter(transaction => {
+            if((filter.pending || filter.awaiting) && (transaction.executed || !transaction.active)) return false
+            if(filter.awaiting && transaction.signers.some(signer => sameAddress(signer, filter.awaiting))) return false
+            return true
+        })
     }
 
     /**
@@ -312,6 +670,10 @@ class Api {
      * @param   {String}                 opt.from                                          set the tx sender
      * @param   {Number}                 opt.gas                                           set the tx gas limit
      * @param   {String}                 opt.gasPrice                                      set the tx gas price in gwei  
+     * @param   {Integer}                opt.nonce                                         set the tx nonce
+     * @param   {Boolean}                opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}                opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}                 opt.signer                                        sign with this signer instead of opt.from's
      * @returns {Promise<Object, Error>}                                                   A promise that resolves with the transaction object or rejects with an error 
      * @memberof Api
      */
@@ -323,18 +685,58 @@ class Api {
         const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
         if(!multiSig) {
             this.IdentityContract.options.address = identity
-            return this.IdentityContract.methods
-            .forward(destination, value, data)
-            .send({ from, value: funding, gas, gasPrice })
+            return this.web3Service.send(this.IdentityContract.methods.forward(destination, value, data),
+                { to: identity, from, value: funding, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'forward' })
         }else{
             this.MultiSigIdentityContract.options.address = identity
-            return this.MultiSigIdentityContract.methods
-            .addTransaction(destination, value, data)
-            .send({ from, gas, gasPrice })
+            return this.web3Service.send(this.MultiSigIdentityContract.methods.addTransaction(destination, value, data),
+                { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'addTransaction' })
         }
 
     }
       
+    /**
+     * Signs a transaction prepared with opt.prepare, e.g. on an offline machine
+     * 
+     * @param   {Object}   transaction     unsigned transaction { from, to, data, value, nonce, gas, gasPrice, chainId }
+     * @param   {String}   privateKey      sender's private key
+     * @returns {Promise<Object, Error>}   A promise that resolves with { rawTransaction, transactionHash } or rejects with a SignatureError
+     * @memberof Api
+     */
+    async signPreparedTransaction(transaction, privateKey) {
+        return await this.web3Service.signTransaction(transaction, privateKey)
+    }
+
+    /**
+     * Broadcasts a transaction signed with signPreparedTransaction
+     * 
+     * @param   {String}   rawTransaction  signed transaction
+     * @returns {Promise<Object, Error>}   A promise that resolves with the transaction receipt or rejects with a ContractRevertError
+     * @memberof Api
+     */
+    async sendSignedTransaction(rawTransaction) {
+        return await this.web3Service.sendSignedTransaction(rawTransaction)
+    }
+
+    /**
+     * Computes what a transaction prepared with opt.prepare costs: its gas limit times its gas price, or its max fee per gas 
+     * for EIP-1559 fees, plus the value it sends.
+     * Api methods called with opt.estimate resolve with the same cost without fetching a nonce or building the transaction
+     *
+     * @param   {Object|Promise}  transaction  unsigned transaction or the promise an Api method returns with opt.prepare.
+     *                                         buyIdentityData's result is previewed through its transaction
+     * @returns {Promise<Object, Error>}       A promise that resolves with { gas, feePerGas, fee, value, total } in wei
+     *                                         and { fee, total } in ETH on eth, or rejects with an error
+     * @memberof Api
+     */
+    async getTransactionCost(transaction) {
+        const prepared = await transaction
+        const tx = prepared && prepared.gas === undefined && prepared.transaction ? prepared.transaction : prepared
+        if(!tx || !tx.gas || !(tx.gasPrice || tx.maxFeePerGas))
+            throw new ValidationError('Only transactions prepared with opt.prepare can be previewed')
+        return this.web3Service.getCost(tx)
+    }
+
     /**
      * Returns Identity's token balance.
      * 
@@ -343,7 +745,7 @@ class Api {
      * @memberof Api
      */
     async getTokenBalance(identity) {
-        return await this.TokenContract.methods.balanceOf(identity).call()
+        return await this.web3Service.call(this.TokenContract.methods.balanceOf(identity), { identity, method: 'balanceOf' })
     }
 
                        
@@ -356,16 +758,22 @@ class Api {
      * @param   {Integer}  saleNodes.price     Node price
      * @param   {String}   privateKey          User's private key. Used to decrypt his data 
      * @param   {Integer}  [price=0]           Sale total price. Overrided by node's prices if it's null  
+     * @param   {String}   [format='nodes']    'nodes' or 'presentation' to sell the data as a Verifiable Presentation
      * @returns {String}                       QRcode image uri
      * @memberof Api
      */
-    async sellIdentityData(identity, saleNodes, privateKey, price = 0) {
+    async sellIdentityData(identity, saleNodes, privateKey, price = 0, format = 'nodes') {
         if(!price) saleNodes.forEach(node => {  price += parseInt(node.price) })
+        if(format === 'presentation') {
+            const presentation = await this.exportPresentation(identity, saleNodes.map(node => node.label), privateKey)
+            return QRCode.getQRUri(JSON.stringify({ identity, presentation, price }))
+        }
         const sellerTree = await this.getIdentityData(identity, true, privateKey)
         saleNodes.map(node => { 
-            let treeNode = IdentityDag.dfs(sellerTree, node.label) 
+            let treeNode = IdentityDag.getNode(sellerTree, node.label) 
             node.data = treeNode.data
             node.salt = treeNode.salt
+            node.proof = IdentityDag.generateProof(sellerTree, node.label)
         })
         // --- Correct Implementation
         return QRCode.getQRUri(JSON.stringify({ identity, saleNodes, price }))
@@ -374,188 +782,1493 @@ class Api {
     }
 
     /**
-     * Checks the data truth according to identity's real data 
+     * Checks the data truth according to identity's real data. Each node is proven to belong 
+     * to the profile tree anchored on the identity contract. The attestations listed next to 
+     * each proven node are verified as well, attestors' revocation lists included
      * 
      * @param   {String}      identity         identity's contract address 
      * @param   {Object[]}    nodes            List of nodes to be checked 
      * @param   {String}      nodes.label      Node label
      * @param   {String}      nodes.data       Node data
      * @param   {String}      nodes.salt       Node hash's salt 
-     * @returns {Object}                       An object with errors and successes
+     * @param   {Object}      [nodes.proof]    Node inclusion proof. Generated from the anchored tree when missing
+     * @returns {Object}                       An object with errors and successes. Successes hold their attestations' verifications
      * @memberof Api
      */
     async checkDataTruth(identity, nodes) {
-        const encryptedTree = await this.getIdentityData(identity, true)
+        const tree = await this.getIdentityData(identity)
         let validations = { error : [], success : [] }
-        nodes.forEach( node => { 
-            let treeNode = IdentityDag.dfs(encryptedTree, node.label)
-            const nodeHash = Crypto.sha3_256(node.data+node.salt)
-            if(nodeHash == treeNode.hash) validations.success.push({label: node.label, data: node.data})
-            else validations.error.push({label: node.label, message: 'Wrong data or salt' })
-        })
+        for(const node of nodes) {
+            let proof
+            try {
+                proof = node.proof ? node.proof : IdentityDag.generateProof(tree, node.label)
+            }catch(err){
+                if(!(err instanceof ValidationError)) throw err
+                validations.error.push({label: node.label, message: err.message })
+                continue
+            }
+            if(!IdentityDag.verifyProof(proof, node.data, node.salt, tree.hash)) {
+                validations.error.push({label: node.label, message: 'Wrong data or salt' })
+                continue
+            }
+            let treeNode
+            try {
+                treeNode = IdentityDag.getNode(tree, node.label)
+            }catch(err){
+                if(!(err instanceof NodeNotFoundError || err instanceof ValidationError)) throw err
+                validations.error.push({label: node.label, message: err.message })
+                continue
+            }
+            if(treeNode.hash !== Crypto.sha3_256(node.data + node.salt)) {
+                validations.error.push({label: node.label, message: `Data was proven for another node than ${node.label}` })
+                continue
+            }
+            const hashes = treeNode.attestations ? treeNode.attestations : []
+            const attestations = await Promise.all(hashes.map(async hash => 
+                this.checkAttestation(tree, identity, await this.ipfsService.getObject(hash), hash)))
+            validations.success.push({label: node.label, data: node.data, attestations})
+        }
         return validations
     }
 
     /**
-     * Transfer tokens and retrieve the data bought
+     * Generates an inclusion proof of a leaf within the identity's anchored profile tree
      * 
-     * @param   {String}    identity                                          Buyer Identity's contract address 
-     * @param   {String}    seller                                            Seller Identity's contract address
-     * @param   {Object[]}  saleNodes                                         List of nodes to be selled 
-     * @param   {String}    saleNodes.label                                   Node label
-     * @param   {String}    saleNodes.data                                    Node data
-     * @param   {String}    saleNodes.salt                                    Node hash's salt
-     * @param   {Integer}   price                                             Sale price. 
-     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
-     * @param   {String}    opt.from                                          set the tx sender
-     * @param   {Number}    opt.gas                                           set the tx gas limit
-     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei
-     * @returns {Object}                                                      Data bought 
+     * @param   {String}      identity         identity's contract address 
+     * @param   {String}      nodeLabel        Leaf label or path. An ambiguous label rejects with a ValidationError
+     * @returns {Object}                       Proof with the sibling hashes along the leaf's path, or null if the leaf doesn't exist
      * @memberof Api
      */
-    async buyIdentityData(identity, seller, saleNodes, price, opt = {
-        from: null, gas: null, gasPrice: null 
-    }) {
-        const from = opt.from ? opt.from : this.defaultOptions.from
-        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
-        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
-        if(price > 0) {
-            const txData = this.TokenContract.methods.transfer(seller, price).encodeABI()
-            await this.forwardTransaction(identity, this.TokenContract.options.address, 0, 0, txData)
-        }
-        return await this.checkDataTruth(seller, saleNodes)
+    async getDataProof(identity, nodeLabel) {
+        const tree = await this.getIdentityData(identity)
+        return IdentityDag.generateProof(tree, nodeLabel)
     }
-    
+
     /**
-     * Signs a multi sig transaction.
+     * Verifies a leaf's data and salt against the root hash of the identity's anchored profile tree
      * 
-     * @param   {String}    identity                                          identity's contract address 
-     * @param   {Integer}   transactionId                                     transaction's index 
-     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
-     * @param   {String}    opt.from                                          set the tx sender
-     * @param   {Number}    opt.gas                                           set the tx gas limit
-     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei 
-     * @returns {Promise<Object, Error>}                                      A promise that resolves with the transaction object or rejects with an error
+     * @param   {String}      identity         identity's contract address 
+     * @param   {Object}      proof            Leaf inclusion proof
+     * @param   {String}      data             Leaf data
+     * @param   {String}      salt             Leaf hash's salt
+     * @returns {Boolean}                      The data belongs to the anchored tree
      * @memberof Api
      */
-    signTransaction (identity, transactionId, opt = { from: null, gas: null, gasPrice: null }) {
-        const from = opt.from ? opt.from : this.defaultOptions.from
-        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
-        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
-        this.MultiSigIdentityContract.options.address = identity
-        return this.MultiSigIdentityContract.methods
-        .signTransaction(transactionId)
-        .send({ from, gas, gasPrice })
+    async verifyDataProof(identity, proof, data, salt) {
+        const tree = await this.getIdentityData(identity)
+        return IdentityDag.verifyProof(proof, data, salt, tree.hash)
     }
 
     /**
-     * Executes a multi sig transaction.
-     *
-     * @param   {String}    identity                                          identity's contract address 
-     * @param   {Integer}   transactionId                                     transaction's index 
-     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
-     * @param   {String}    opt.from                                          set the tx sender
-     * @param   {Number}    opt.gas                                           set the tx gas limit
-     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei 
-     * @returns {Promise<Object, Error>}                                      A promise that resolves with the transaction object or rejects with an error                          
-    */
-    executeTransaction(identity, transactionId, opt = { from: null, gas: null, gasPrice: null }) {
-        const from = opt.from ? opt.from : this.defaultOptions.from
-        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
-        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
-        this.MultiSigIdentityContract.options.address = identity
-        return this.MultiSigIdentityContract.methods
-        .executeTransaction(transactionId)
-        .send({ from, gas, gasPrice })
+     * Returns an identity's DID: did:swapy:<network>:<address>. The chain id replaces the network name
+     * when the Api was given contract addresses only
+     * 
+     * @param   {String}      identity         identity's contract address 
+     * @returns {String}                       identity's DID
+     * @memberof Api
+     */
+    getIdentityDid(identity) {
+        return Did.format(this.options.network ? this.options.network : this.chainId, identity)
     }
 
     /**
-     * Returns the profile data of an identity
+     * Attests a node of an identity's anchored tree with the default account, e.g. a KYC provider's. 
+     * The owner lists the attestation next to the node with attachAttestation. With the revocationKey option 
+     * the attestor's revocation list is published under that key and the attestation names it
      * 
-     * @param    {String}  identity              identity's contract address
-     * @param    {Boolean} [fetchData=false]     retrieve leafs data or not
-     * @param    {String}  [privateKey=null]     User's private key. Used to decrypt his data 
-     * @returns  {Promise<Object, Error>}        A promise that resolves with the transaction object or rejects with an error
+     * @param   {String}      identity                                 identity's contract address 
+     * @param   {String}      nodeLabel                                Node's label or path
+     * @param   {Object}      [opt={ claim: null, expiresAt: null }]   attestation options
+     * @param   {String}      opt.claim                                what was checked, e.g. "kyc:address"
+     * @param   {String}      opt.expiresAt                            ISO date the attestation expires at
+     * @param   {String}      opt.from                                 attestor's address. Defaults to the default account
+     * @param   {Signer}      opt.signer                               attestor's signer
+     * @returns {Promise<Object, Error>}                               A promise that resolves with { ipfsHash, attestation } or rejects with an error
      * @memberof Api
      */
-    async getIdentityData(identity, fetchData = false, privateKey = null) {
-        this.IdentityContract.options.address = identity
-        const profileHash = await this.IdentityContract.methods.financialData().call()
-        const tree = await this.getTreeData(this.utils.hexToAscii(profileHash), fetchData, privateKey)
-        return tree           
-    } 
+    async attestNode(identity, nodeLabel, opt = { claim: null, expiresAt: null }) {
+        const tree = await this.getIdentityData(identity)
+        const path = IdentityDag.pathOf(tree, nodeLabel)
+        const signer = opt.signer ? opt.signer : this.web3Service.getSigner(opt.from)
+        const attestor = await signer.getAddress()
+        const revocations = await this.publishRevocationName(attestor, signer)
+        const unsigned = Attestation.create({ 
+            identity, path, nodeHash: IdentityDag.getNode(tree, path).hash, attestor, 
+            claim: opt.claim, expiresAt: opt.expiresAt, revocations 
+        })
+        const signature = await this.web3Service.signCredentials(Attestation.signingMessage(unsigned), signer)
+        const attestation = Object.assign({}, unsigned, { signature })
+        const ipfsHash = await this.ipfsService.saveObject(attestation)
+        return { ipfsHash, attestation }
+    }
 
     /**
-     * Returns a tree located on IPFS
+     * Lists an attestation next to the node it was signed for. Anchor the new tree with updateIdentityData
      * 
-     * @param    {String}  ipfsHash              Tree's IPFS hash
-     * @param    {Boolean} [fetchData=false]     retrieve leafs data or not
-     * @param    {String}  [privateKey=null]     User's private key. Used to decrypt his data 
-     * @returns  {Promise<Object, Error>}        A promise that resolves with the transaction object or rejects with an error
+     * @param   {String}  ipfsHash             Tree's IPFS hash
+     * @param   {String}  nodeLabel            Label or path of the attested node
+     * @param   {String}  attestationHash      Attestation's IPFS hash
+     * @returns {Promise<String, Error>}       A promise that resolves with the new tree's IPFS hash or rejects with an error 
      * @memberof Api
      */
-    async getTreeData(ipfsHash, fetchData = false, privateKey = null) {
-        const tree = await this.ipfsService.searchNode(ipfsHash, 'root', fetchData, privateKey)
-        return tree           
-    } 
-    
+    async attachAttestation(ipfsHash, nodeLabel, attestationHash) {
+        const attestation = await this.ipfsService.getObject(attestationHash)
+        Attestation.assertAttestation(attestation)
+        return await this.ipfsService.attachAttestation(ipfsHash, nodeLabel, attestationHash, attestation.nodeHash)
+    }
+
     /**
-     * Sets new data into an IPFS tree 
+     * Lists the attestations of a node of the identity's anchored tree
      * 
-     * @param    {String}     ipfsHash       Tree's IPFS hash
-     * @param    {Object[]}   profileNodes   Identity's tree nodes to be inserted
-     * @param    {String}     publicKey      User's public key. Used to encrypt the data
-     * @returns  {Promise<Object, Error>}    A promise that resolves with the transaction object or rejects with an error
+     * @param   {String}      identity         identity's contract address 
+     * @param   {String}      nodeLabel        Node's label or path
+     * @returns {Object[]}                     Attestations with their IPFS hash as id
      * @memberof Api
      */
-    async insertTreeData(ipfsHash, profileNodes, publicKey) {
-        const newHash = await this.ipfsService.insertNodes(ipfsHash, profileNodes, publicKey)
-        return newHash
+    async getAttestations(identity, nodeLabel) {
+        const ipfsHash = await this.getProfileHash(identity)
+        const hashes = await this.ipfsService.getNodeAttestations(ipfsHash, nodeLabel)
+        return await Promise.all(hashes.map(async hash => Object.assign({ id: hash }, await this.ipfsService.getObject(hash))))
     }
 
     /**
-     * Updates tree's data
-     * @param   {String}  ipfsHash         Tree's IPFS hash
-     * @param   {String}  nodeLabel        Label of the node to be updated 
-     * @param   {String}  data             New data
-     * @param   {String}  publicKey        User's public key. Used to encrypt the data  
-     * @returns {Promise<Object, Error>}   A promise that resolves with the transaction object or rejects with an error 
+     * Verifies an attestation of an identity: attestor's signature, expiration, attestor not revoked, 
+     * attestation missing from the attestor's revocation list and node's hash still current in the identity's anchored tree
+     * 
+     * @param   {String}          identity        identity's contract address 
+     * @param   {Object|String}   attestation     Attestation or its IPFS hash
+     * @returns {Object}                          { verified, id, attestor, path, claim, revocation, errors }
      * @memberof Api
      */
-    async updateTreeData(ipfsHash, nodeLabel, data, publicKey) {
-        const newHash = await this.ipfsService.updateNode(ipfsHash, nodeLabel, data, publicKey)
-        return newHash
+    async verifyAttestation(identity, attestation) {
+        const id = typeof attestation === 'string' ? attestation : (attestation.id ? attestation.id : null)
+        if(typeof attestation === 'string') attestation = await this.ipfsService.getObject(attestation)
+        const tree = await this.getIdentityData(identity)
+        return await this.checkAttestation(tree, identity, attestation, id)
     }
 
     /**
-     * Updates Identity's profile data
+     * Verifies an attestation against an identity's anchored tree
      * 
-     * @param   {String}  identity                                         Identity's contract address 
-     * @param   {String}  profileHash                                      Tree's IPFS hash  
-     * @param   {Boolean} [multiSig=false]                                 is a multi sig identity
-     * @param   {Object}  [opt={ from: null, gas: null, gasPrice: null }]  transaction options
-     * @param   {String}  opt.from                                         set the tx sender
-     * @param   {Number}  opt.gas                                          set the tx gas limit
-     * @param   {String}  opt.gasPrice                                     set the tx gas price in gwei 
-     * @returns {Promise<Object, Error>}                                   A promise that resolves with the transaction object or rejects with an error 
+     * @param   {Object}          tree            identity's anchored tree
+     * @param   {String}          identity        identity's contract address 
+     * @param   {Object}          attestation     Attestation
+     * @param   {String}          [id=null]       Attestation's IPFS hash. Revocations are looked up by the hash of its content as well
+     * @returns {Object}                          { verified, id, attestor, path, claim, revocation, errors }. An attestor's
+     *                                            revocation list that can't be found or read fails the attestation
      * @memberof Api
      */
-    async updateIdentityData(identity, profileHash, multiSig = false, opt = { from: null, gas: null, gasPrice: null }) {
-        const from = opt.from ? opt.from : this.defaultOptions.from
-        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
-        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
-        if(!multiSig) {
-            this.IdentityContract.options.address = identity
-            return this.IdentityContract.methods
-            .setFinancialData(this.utils.asciiToHex(profileHash))
-            .send({ from, gas, gasPrice })
-        }else{
-            this.MultiSigIdentityContract.options.address = identity
-            const txData = this.MultiSigIdentityContract.methods.setFinancialData(this.utils.asciiToHex(profileHash)).encodeABI()
-            return this.MultiSigIdentityContract.methods
-            .addTransaction(identity, 0, txData)
-            .send({ from, gas, gasPrice })
+    async checkAttestation(tree, identity, attestation, id = null) {
+        Attestation.assertAttestation(attestation)
+        let stored = Object.assign({}, attestation)
+        delete stored.id
+        const contentHash = await this.ipfsService.getObjectHash(stored)
+        if(!id) id = contentHash
+        let result = { verified: false, id, attestor: attestation.attestor, path: attestation.path, claim: attestation.claim, revocation: null, errors: [] }
+        if(!sameAddress(attestation.identity, identity)) result.errors.push(`Attestation was issued for ${attestation.identity}`)
+        try {
+            const signer = await this.web3Service.getCredentialsSigner(Attestation.signingMessage(attestation), attestation.signature)
+            if(!sameAddress(signer, attestation.attestor)) result.errors.push(`Attestation was signed by ${signer}`)
+        }catch(err){
+            if(!(err instanceof SignatureError)) throw err
+            result.errors.push('Signature cannot be recovered')
+        }
+        if(attestation.expiresAt && Date.parse(attestation.expiresAt) < Date.now()) result.errors.push(`Attestation expired at ${attestation.expiresAt}`)
+        if(this.options.revokedAttestors.indexOf(attestation.attestor.toLowerCase()) >= 0) result.errors.push(`Attestor ${attestation.attestor} was revoked`)
+        try {
+            const list = await this.getRevocationList(attestation.attestor, false, attestation.revocations)
+            if(!list) throw new ValidationError(`No revocation list of ${attestation.attestor} can be found`, { attestor: attestation.attestor })
+            result.revocation = RevocationList.find(list, id) || RevocationList.find(list, contentHash)
+            if(result.revocation) 
+                result.errors.push(`Attestation was revoked at ${result.revocation.revokedAt}${result.revocation.reason ? `: ${result.revocation.reason}` : ''}`)
+        }catch(err){
+            if(!(err instanceof ValidationError || err instanceof StorageError)) throw err
+            result.errors.push(`Revocation list of ${attestation.attestor} cannot be trusted: ${err.message}`)
+        }
+        try {
+            const node = IdentityDag.getNode(tree, attestation.path)
+            if(node.hash !== attestation.nodeHash) result.errors.push(`${attestation.path} changed since it was attested`)
+        }catch(err){
+            if(!(err instanceof NodeNotFoundError || err instanceof ValidationError)) throw err
+            result.errors.push(err.message)
         }
+        result.verified = result.errors.length === 0
+        return result
+    }
+
+    /**
+     * Revokes an attestation issued by the default account, or opt.from's. The attestor's signed revocation list 
+     * is republished with it, with the next sequence, and under the revocationKey option's name when set
+     * 
+     * @param   {String}      attestationId    Attestation's IPFS hash
+     * @param   {String}      [reason=null]    why it is withdrawn
+     * @param   {Object}      [opt={ from: null, signer: null }]   signing options
+     * @param   {String}      opt.from         attestor's address. Defaults to the default account
+     * @param   {Signer}      opt.signer       attestor's signer
+     * @returns {Promise<Object, Error>}       A promise that resolves with { ipfsHash, name, list } or rejects with an error
+     * @memberof Api
+     */
+    async revokeAttestation(attestationId, reason = null, opt = { from: null, signer: null }) {
+        const signer = opt.signer ? opt.signer : this.web3Service.getSigner(opt.from)
+        const attestor = await signer.getAddress()
+        const attestation = await this.ipfsService.getObject(attestationId)
+        Attestation.assertAttestation(attestation)
+        if(!sameAddress(attestation.attestor, attestor))
+            throw new ValidationError(`Attestation was issued by ${attestation.attestor}`, { attestor, attestationId })
+        const current = await this.getRevocationList(attestor, true)
+        const list = await this.signRevocationList(RevocationList.revoke(current ? current : RevocationList.create(attestor), attestationId, reason), signer)
+        return await this.publishRevocationList(attestor, list)
+    }
+
+    /**
+     * Publishes the attestor's revocation list, under the revocationKey option's name when set, signing an empty one 
+     * if the attestor revoked nothing yet, so verifiers find a list for every attestation. Published once per attestor name
+     * 
+     * @param   {String}      attestor         attestor's address
+     * @param   {Signer}      signer           attestor's signer
+     * @returns {Promise<String, Error>}       A promise that resolves with the name, or null without the revocationKey option, 
+     *                                         or rejects with an error
+     * @memberof Api
+     */
+    async publishRevocationName(attestor, signer) {
+        const key = attestor.toLowerCase()
+        if(this.revocationNames.has(key)) return this.revocationNames.get(key)
+        const current = await this.getRevocationList(attestor, true)
+        if(current && !this.options.revocationKey) return null
+        const { name } = await this.publishRevocationList(attestor, current ? current : await this.signRevocationList(RevocationList.create(attestor), signer))
+        return name
+    }
+
+    /**
+     * Signs a revocation list with the attestor's signer
+     * 
+     * @param   {Object}      unsigned         unsigned revocation list
+     * @param   {Signer}      signer           attestor's signer
+     * @returns {Promise<Object, Error>}       A promise that resolves with the signed list or rejects with an error
+     * @memberof Api
+     */
+    async signRevocationList(unsigned, signer) {
+        const signature = await this.web3Service.signCredentials(RevocationList.signingMessage(unsigned), signer)
+        return Object.assign({}, unsigned, { signature })
+    }
+
+    /**
+     * Publishes a signed revocation list and remembers its sequence
+     * 
+     * @param   {String}      attestor         attestor's address
+     * @param   {Object}      list             signed revocation list
+     * @returns {Promise<Object, Error>}       A promise that resolves with { ipfsHash, name, list } or rejects with an error
+     * @memberof Api
+     */
+    async publishRevocationList(attestor, list) {
+        const key = attestor.toLowerCase()
+        let published = { ipfsHash: null, name: null }
+        if(this.options.revocationKey) published = await this.ipfsService.publishRevocationList(attestor, list, this.options.revocationKey)
+        else published.ipfsHash = await this.ipfsService.setRevocationList(attestor, list)
+        if(published.name) this.revocationNames.set(key, published.name)
+        this.revocationSequences.set(key, RevocationList.sequence(list))
+        this.revocationLists.set(key, { list, fetchedAt: Date.now() })
+        return Object.assign(published, { list })
+    }
+
+    /**
+     * Reads an attestor's revocation list and checks the attestor signed it. Lists are cached for 
+     * the revocationCacheTtl option's ms. The highest sequence read per attestor is remembered, so an older list, 
+     * or no list at all once one was read, is rejected
+     * 
+     * @param   {String}      attestor         attestor's address
+     * @param   {Boolean}     [fresh=false]    skips the cache
+     * @param   {String}      [name=null]      name the attestor publishes its list under, e.g. an attestation's revocations
+     * @returns {Promise<Object, Error>}       A promise that resolves with the list, or null if the attestor never published one, 
+     *                                         or rejects with a ValidationError when the list wasn't signed by the attestor, 
+     *                                         went back to an older sequence or went missing, and with a StorageError when 
+     *                                         the name cannot be resolved
+     * @memberof Api
+     */
+    async getRevocationList(attestor, fresh = false, name = null) {
+        const key = attestor.toLowerCase()
+        const cached = this.revocationLists.get(key)
+        if(!fresh && cached && Date.now() - cached.fetchedAt < this.options.revocationCacheTtl) return cached.list
+        const list = name ? await this.ipfsService.resolveRevocationList(name) : await this.ipfsService.getRevocationList(attestor)
+        const seen = this.revocationSequences.has(key) ? this.revocationSequences.get(key) : null
+        if(!list && seen !== null)
+            throw new ValidationError(`Revocation list of ${attestor} is missing although sequence ${seen} was published`, { attestor })
+        if(list) {
+            RevocationList.assertList(list)
+            let signer
+            try {
+                signer = await this.web3Service.getCredentialsSigner(RevocationList.signingMessage(list), list.signature)
+            }catch(err){
+                if(!(err instanceof SignatureError)) throw err
+            }
+            if(!sameAddress(list.attestor, attestor) || !sameAddress(signer, attestor))
+                throw new ValidationError(`Revocation list was not signed by ${attestor}`, { attestor, signer })
+            if(seen !== null && RevocationList.sequence(list) < seen)
+                throw new ValidationError(`Revocation list of ${attestor} went back from sequence ${seen} to ${RevocationList.sequence(list)}`, { attestor })
+            this.revocationSequences.set(key, RevocationList.sequence(list))
+        }
+        if(this.options.revocationCacheTtl > 0) this.revocationLists.set(key, { list, fetchedAt: Date.now() })
+        return list
+    }
+
+    /**
+     * Lists the latest revocation list sequence read per attestor, to be given back as the revocationSequences 
+     * option so a new Api keeps refusing older lists
+     * 
+     * @returns {Object}                       sequences by attestor's address
+     * @memberof Api
+     */
+    getRevocationSequences() {
+        let sequences = {}
+        this.revocationSequences.forEach((sequence, attestor) => { sequences[attestor] = sequence })
+        return sequences
+    }
+
+    /**
+     * Resolves a did:swapy DID into its DID document, following the W3C DID resolution result format.
+     * Failures are reported in didResolutionMetadata.error (invalidDid, methodNotSupported or notFound)
+     * 
+     * @param   {String}      did              identity's DID
+     * @returns {Object}                       { didResolutionMetadata, didDocument, didDocumentMetadata }
+     * @memberof Api
+     */
+    async resolveDid(did) {
+        let parsed
+        try {
+            parsed = Did.parse(did)
+        }catch(err){
+            return didResolutionError(/^did:[a-z0-9]+:/.test(did) && !/^did:swapy:/.test(did) ? 'methodNotSupported' : 'invalidDid', err.message)
+        }
+        const expected = Did.parse(this.getIdentityDid(parsed.address)).network
+        if(parsed.network !== expected) return didResolutionError('notFound', `${did} belongs to ${parsed.network}, not ${expected}`)
+        let identity
+        try {
+            identity = await this.getIdentityOwners(parsed.address)
+        }catch(err){
+            if(err instanceof ContractRevertError) return didResolutionError('notFound', `${parsed.address} is not an identity: ${err.message}`)
+            throw err
+        }
+        const profileHash = await this.getProfileHash(parsed.address)
+        const chainId = await this.web3Service.getChainId()
+        let didDocumentMetadata = { identityType: identity.multiSig ? 'multiSig' : 'personal', required: identity.required }
+        if(identity.createdAt) didDocumentMetadata.created = Moment.unix(identity.createdAt).toISOString()
+        return {
+            didResolutionMetadata: { contentType: 'application/did+ld+json' },
+            didDocument: Did.buildDocument(Did.format(parsed.network, parsed.address), { owners: identity.owners, chainId, profileHash }),
+            didDocumentMetadata
+        }
+    }
+
+    /**
+     * Returns the did:swapy method resolver for generic DID tooling (e.g. the did-resolver package)
+     * 
+     * @returns {Object}                       { swapy: did => resolution result }
+     * @memberof Api
+     */
+    getDidResolver() {
+        return { swapy: did => this.resolveDid(did) }
+    }
+
+    /**
+     * Exports profile leafs as W3C Verifiable Credentials signed by the identity's owner account
+     * 
+     * @param   {String}      identity                           identity's contract address 
+     * @param   {String[]}    labels                             Leafs' labels or paths
+     * @param   {String}      privateKey                         User's private key. Used to decrypt his data 
+     * @param   {Object}      [opt={ expirationDate: null }]     credentials options
+     * @param   {String}      opt.expirationDate                 ISO date the credentials expire at
+     * @param   {String}      opt.from                           owner's address. An account set owning the identity signs by default
+     * @param   {Signer}      opt.signer                         owner's signer
+     * @returns {Object[]}                                       Signed credentials
+     * @memberof Api
+     */
+    async exportCredentials(identity, labels, privateKey, opt = { expirationDate: null }) {
+        const signer = await this.getIdentitySigner(identity, opt)
+        const tree = await this.getIdentityData(identity, true, privateKey)
+        const issuer = this.getIdentityDid(identity)
+        let credentials = []
+        for(let i = 0; i < labels.length; i++) {
+            const node = IdentityDag.getNode(tree, labels[i])
+            if(!node || node.salt === undefined) throw new ValidationError(`${labels[i]} is not a leaf of ${identity}`, { identity, label: labels[i] })
+            const credential = VerifiableCredential.create(issuer, {
+                label: node.label,
+                path: IdentityDag.pathOf(tree, labels[i]),
+                data: node.data,
+                salt: node.salt,
+                inclusionProof: IdentityDag.generateProof(tree, labels[i])
+            }, opt.expirationDate)
+            credentials.push(await this.signCredentialDocument(credential, {}, signer))
+        }
+        return credentials
+    }
+
+    /**
+     * Exports profile leafs as a W3C Verifiable Presentation signed by the identity's owner account
+     * 
+     * @param   {String}      identity                                                   identity's contract address 
+     * @param   {String[]}    labels                                                     Leafs' labels or paths
+     * @param   {String}      privateKey                                                 User's private key. Used to decrypt his data 
+     * @param   {Object}      [opt={ challenge: null, domain: null, expirationDate: null }] presentation options
+     * @param   {String}      opt.challenge                                              verifier's challenge
+     * @param   {String}      opt.domain                                                 verifier's domain
+     * @param   {String}      opt.expirationDate                                         ISO date the credentials expire at
+     * @param   {String}      opt.from                                                   owner's address. An account set owning the identity signs by default
+     * @param   {Signer}      opt.signer                                                 owner's signer
+     * @returns {Object}                                                                 Signed presentation
+     * @memberof Api
+     */
+    async exportPresentation(identity, labels, privateKey, opt = { challenge: null, domain: null, expirationDate: null }) {
+        const signer = await this.getIdentitySigner(identity, opt)
+        const credentials = await this.exportCredentials(identity, labels, privateKey, { expirationDate: opt.expirationDate, signer })
+        const presentation = VerifiableCredential.createPresentation(this.getIdentityDid(identity), credentials)
+        let extra = {}
+        if(opt.challenge) extra.challenge = opt.challenge
+        if(opt.domain) extra.domain = opt.domain
+        return await this.signCredentialDocument(presentation, extra, signer)
+    }
+
+    /**
+     * Signs a credential or a presentation
+     * 
+     * @param   {Object}      document         unsigned credential or presentation
+     * @param   {Object}      [extra={}]       proof's challenge and domain
+     * @param   {Signer}      [signer=null]    owner's signer. Defaults to the default account's
+     * @returns {Object}                       signed document
+     * @memberof Api
+     */
+    async signCredentialDocument(document, extra = {}, signer = null) {
+        const message = VerifiableCredential.signingMessage(document, extra)
+        const signature = await this.web3Service.signCredentials(message, signer)
+        const address = await this.web3Service.getCredentialsSigner(message, signature)
+        return VerifiableCredential.attachProof(document, address, signature, extra)
+    }
+
+    /**
+     * Verifies a credential: owner's signature, issuer's ownership on chain, expiration 
+     * and the leaf's inclusion in the tree currently anchored on the identity contract, at the node its path (or label) names
+     * 
+     * @param   {Object}      credential       Verifiable Credential
+     * @returns {Object}                       { verified, identity, signer, label, errors }
+     * @memberof Api
+     */
+    async verifyCredential(credential) {
+        VerifiableCredential.assertCredential(credential)
+        const subject = credential.credentialSubject
+        const identity = Did.parse(credential.issuer).address
+        let result = { verified: false, identity, signer: null, label: subject.label, errors: [] }
+        if(subject.id !== credential.issuer) result.errors.push('Credential subject is not its issuer')
+        if(credential.expirationDate && Date.parse(credential.expirationDate) < Date.now()) 
+            result.errors.push(`Credential expired at ${credential.expirationDate}`)
+        result.signer = await this.verifyCredentialProof(credential, identity, result.errors)
+        const tree = await this.getIdentityData(identity)
+        const search = subject.path ? subject.path : subject.label
+        if(subject.path && subject.path.split('/').pop() !== subject.label) 
+            result.errors.push(`Credential path ${subject.path} doesn't name ${subject.label}`)
+        if(!IdentityDag.verifyProof(subject.inclusionProof, subject.data, subject.salt, tree.hash)) 
+            result.errors.push(`${subject.label} is not part of the profile anchored on ${identity}`)
+        else if(!IdentityDag.verifyNodeProof(tree, search, subject.inclusionProof, subject.data, subject.salt))
+            result.errors.push(`Data was proven for another node than ${search}`)
+        result.verified = result.errors.length === 0
+        return result
+    }
+
+    /**
+     * Verifies a presentation's signature, challenge and domain, and each of its credentials
+     * 
+     * @param   {Object}      presentation                        Verifiable Presentation
+     * @param   {Object}      [opt={ challenge: null, domain: null }] expected challenge and domain
+     * @returns {Object}                                          { verified, identity, signer, credentials, errors }
+     * @memberof Api
+     */
+    async verifyPresentation(presentation, opt = { challenge: null, domain: null }) {
+        VerifiableCredential.assertPresentation(presentation)
+        const identity = Did.parse(presentation.holder).address
+        let result = { verified: false, identity, signer: null, credentials: [], errors: [] }
+        if(opt.challenge && presentation.proof.challenge !== opt.challenge) result.errors.push('Presentation answers another challenge')
+        if(opt.domain && presentation.proof.domain !== opt.domain) result.errors.push(`Presentation was made for ${presentation.proof.domain}`)
+        result.signer = await this.verifyCredentialProof(presentation, identity, result.errors)
+        for(let i = 0; i < presentation.verifiableCredential.length; i++) {
+            const credential = await this.verifyCredential(presentation.verifiableCredential[i])
+            if(credential.identity.toLowerCase() !== identity.toLowerCase()) credential.errors.push('Credential was issued by another identity')
+            credential.verified = credential.errors.length === 0
+            credential.errors.forEach(error => result.errors.push(`${credential.label}: ${error}`))
+            result.credentials.push(credential)
+        }
+        result.verified = result.errors.length === 0
+        return result
+    }
+
+    /**
+     * Checks a credential's or a presentation's proof was signed by an owner of the identity on this network
+     * 
+     * @param   {Object}      document         credential or presentation
+     * @param   {String}      identity         identity's contract address
+     * @param   {String[]}    errors           verification errors. Failed checks are pushed into it
+     * @returns {String}                       signer's address or null when it cannot be recovered
+     * @memberof Api
+     */
+    async verifyCredentialProof(document, identity, errors) {
+        const network = Did.parse(document.issuer ? document.issuer : document.holder).network
+        const expected = Did.parse(this.getIdentityDid(identity)).network
+        if(network !== expected) errors.push(`${network} DIDs cannot be verified on ${expected}`)
+        const declared = VerifiableCredential.declaredSigner(document)
+        let signer = null
+        try {
+            signer = await this.web3Service.getCredentialsSigner(VerifiableCredential.signingMessage(document), document.proof.proofValue)
+        }catch(err){
+            if(!(err instanceof SignatureError)) throw err
+            errors.push('Signature cannot be recovered')
+            return null
+        }
+        if(!sameAddress(signer, declared)) errors.push('Signature doesn\'t match its verification method')
+        const { owners } = await this.getIdentityOwners(identity)
+        if(!owners.some(owner => sameAddress(owner, signer))) errors.push(`${signer} is not an owner of ${identity}`)
+        return signer
+    }
+
+    /**
+     * Imports the leafs of a verified presentation (or credentials) as nodes checkDataTruth and buyIdentityData accept
+     * 
+     * @param   {Object|Object[]}   credentials     Verifiable Presentation or Credentials
+     * @returns {Object}                            { identity, nodes }. Rejects with a ValidationError when they cannot be verified
+     * @memberof Api
+     */
+    async importCredentials(credentials) {
+        const documents = VerifiableCredential.isPresentation(credentials) ? credentials.verifiableCredential : [].concat(credentials)
+        let errors = []
+        let results
+        if(VerifiableCredential.isPresentation(credentials)) {
+            const presentation = await this.verifyPresentation(credentials)
+            presentation.errors.forEach(message => errors.push({ label: null, message }))
+            results = presentation.credentials
+        }else{
+            results = []
+            for(let i = 0; i < documents.length; i++) results.push(await this.verifyCredential(documents[i]))
+            results.forEach(result => result.errors.forEach(message => errors.push({ label: result.label, message })))
+        }
+        if(errors.length > 0) throw new ValidationError('Credentials cannot be verified', {}, errors)
+        const identities = results.map(result => result.identity.toLowerCase())
+        if(identities.some(identity => identity !== identities[0])) throw new ValidationError('Credentials were issued by different identities')
+        return { identity: identities[0], nodes: documents.map(VerifiableCredential.toNode) }
+    }
+
+    /**
+     * Checks the data against the seller's anchored profile, then transfers the tokens. 
+     * Nothing is paid when a node doesn't match. Use acceptSaleOffer for an escrowed sale
+     * 
+     * @param   {String}    identity                                          Buyer Identity's contract address 
+     * @param   {String}    seller                                            Seller Identity's contract address
+     * @param   {Object[]|Object} saleNodes                                   List of nodes to be selled or a Verifiable Presentation
+     * @param   {String}    saleNodes.label                                   Node label
+     * @param   {String}    saleNodes.data                                    Node data
+     * @param   {String}    saleNodes.salt                                    Node hash's salt
+     * @param   {Integer}   price                                             Sale price. 
+     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
+     * @param   {String}    opt.from                                          set the tx sender
+     * @param   {Number}    opt.gas                                           set the tx gas limit
+     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei
+     * @param   {Integer}   opt.nonce                                         set the tx nonce
+     * @param   {Boolean}   opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}   opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}    opt.signer                                        sign with this signer instead of opt.from's
+     * @returns {Object}                                                      Data bought. Rejects with a ValidationError holding the 
+     *                                                                        mismatching nodes before paying. The unsigned payment is set 
+     *                                                                        on transaction when it is prepared, its cost when it is estimated
+     * @memberof Api
+     */
+    async buyIdentityData(identity, seller, saleNodes, price, opt = {
+        from: null, gas: null, gasPrice: null 
+    }) {
+        const from = opt.from ? opt.from : this.defaultOptions.from
+        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
+        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
+        let nodes = saleNodes
+        if(VerifiableCredential.isPresentation(saleNodes)) {
+            const imported = await this.importCredentials(saleNodes)
+            if(imported.identity !== seller.toLowerCase()) throw new ValidationError(`Presentation was not issued by ${seller}`, { identity: seller })
+            nodes = imported.nodes
+        }
+        const validations = await this.checkDataTruth(seller, nodes)
+        if(validations.error.length > 0) 
+            throw new ValidationError(`Data sold by ${seller} doesn't match its anchored profile`, { identity: seller }, validations.error)
+        if(price > 0) {
+            const txData = this.TokenContract.methods.transfer(seller, price).encodeABI()
+            const transaction = await this.forwardTransaction(identity, this.TokenContract.options.address, 0, 0, txData, false, opt)
+            if(opt.prepare || opt.estimate) return Object.assign({}, validations, { transaction })
+        }
+        return validations
+    }
+
+    /**
+     * Offers leafs to a buyer through a hash-locked sale. The offer holds the leafs' hashes, their inclusion proofs 
+     * and their data encrypted for the buyer under keys derived from a sale key. The offer commits to the sale key by its hash, 
+     * the buyer locks the price in the escrow contract with acceptSaleOffer and lockSalePayment, and the seller reveals 
+     * the key to the contract to be paid with releaseSale
+     * 
+     * @param   {String}     identity                              seller identity's contract address 
+     * @param   {String}     buyer                                 buyer identity's contract address
+     * @param   {String}     buyerPublicKey                        buyer's ecc public key the data is encrypted for
+     * @param   {Object[]}   saleNodes                             List of nodes to be sold 
+     * @param   {String}     saleNodes.label                       Node label
+     * @param   {Integer}    saleNodes.price                       Node price
+     * @param   {String}     privateKey                            Seller's ecc private key. Used to decrypt the data and keep the sale key
+     * @param   {Object}     [opt={ price: null, ttl: null }]      offer options
+     * @param   {Integer}    opt.price                             Sale total price. Nodes' prices are summed when it's null
+     * @param   {Integer}    opt.ttl                               ms the seller has to reveal the sale key. Defaults to a day
+     * @param   {String}     opt.from                              owner's address. An account set owning the identity signs by default
+     * @param   {Signer}     opt.signer                            owner's signer
+     * @returns {Promise<Object, Error>}                           A promise that resolves with { ipfsHash, offer } or rejects with an error
+     * @memberof Api
+     */
+    async createSaleOffer(identity, buyer, buyerPublicKey, saleNodes, privateKey, opt = { price: null, ttl: null }) {
+        const escrow = this.getEscrowContract({ identity })
+        const price = opt.price !== null && opt.price !== undefined ? opt.price 
+            : saleNodes.reduce((total, node) => total + parseInt(node.price), 0)
+        const tree = await this.getIdentityData(identity, true, privateKey)
+        const saleKey = SaleOffer.createKey()
+        const nodes = await Promise.all(saleNodes.map(async node => {
+            const treeNode = IdentityDag.getNode(tree, node.label)
+            if(treeNode.salt === undefined) throw new ValidationError(`${node.label} is not a leaf`, { identity, label: node.label })
+            const envelope = await Crypto.encrypt(SaleOffer.leafKey(saleKey, treeNode.hash), JSON.stringify({ data: treeNode.data, salt: treeNode.salt }))
+            return {
+                label: node.label,
+                leafHash: treeNode.hash,
+                proof: IdentityDag.generateProof(tree, node.label),
+                envelope: await Crypto.encryptEcc(buyerPublicKey, JSON.stringify(envelope))
+            }
+        }))
+        const unsigned = SaleOffer.create({ 
+            identity, buyer, buyerPublicKey, price, rootHash: tree.hash, nodes, keyHash: SaleOffer.keyHash(saleKey), 
+            sellerKey: await Crypto.encryptEcc(Crypto.publicKeyByPrivateKey(privateKey), saleKey), escrow: escrow.options.address, 
+            ...(opt.ttl ? { ttl: opt.ttl } : {})
+        })
+        const signature = await this.web3Service.signCredentials(SaleOffer.signingMessage(unsigned), await this.getIdentitySigner(identity, opt))
+        const offer = Object.assign({}, unsigned, { signature })
+        const ipfsHash = await this.ipfsService.saveObject(offer)
+        return { ipfsHash, offer }
+    }
+
+    /**
+     * Verifies a sale offer without its data: seller owner's signature, deadline, escrow contract and 
+     * leafs' hashes against the seller's anchored tree. With the buyer's private key, every envelope must open 
+     * for the buyer as well. The data itself can only be checked once the seller reveals the sale key
+     * 
+     * @param   {Object|String}   offer               Sale offer or its IPFS hash
+     * @param   {String}          [privateKey=null]   Buyer's ecc private key the offer was made for
+     * @returns {Object}                              { verified, signer, errors }
+     * @memberof Api
+     */
+    async verifySaleOffer(offer, privateKey = null) {
+        if(typeof offer === 'string') offer = await this.ipfsService.getObject(offer)
+        SaleOffer.assertOffer(offer)
+        let errors = []
+        if(SaleOffer.isExpired(offer)) errors.push(`Offer expired at ${offer.expiresAt}`)
+        if(!this.EscrowContract || !sameAddress(offer.escrow, this.EscrowContract.options.address)) 
+            errors.push(`Offer locks its price in ${offer.escrow}, not in the escrow contract set`)
+        let signer = null
+        try {
+            signer = await this.web3Service.getCredentialsSigner(SaleOffer.signingMessage(offer), offer.signature)
+            const { owners } = await this.getIdentityOwners(offer.identity)
+            if(!owners.some(owner => sameAddress(owner, signer))) errors.push(`${signer} is not an owner of ${offer.identity}`)
+        }catch(err){
+            if(!(err instanceof SignatureError)) throw err
+            errors.push('Signature cannot be recovered')
+        }
+        const tree = await this.getIdentityData(offer.identity)
+        for(const node of offer.nodes) {
+            if(!node.proof || node.proof.leafHash !== node.leafHash || !IdentityDag.verifyLeafHash(node.proof, node.leafHash, tree.hash)) 
+                errors.push(`${node.label} doesn't belong to the anchored profile of ${offer.identity}`)
+            if(offer.nodes.filter(other => other.leafHash === node.leafHash).length > 1) errors.push(`${node.label} is offered twice`)
+            if(privateKey) {
+                try {
+                    JSON.parse(await Crypto.decryptEcc(privateKey, node.envelope))
+                }catch(err){
+                    if(!(err instanceof DecryptionError || err instanceof SyntaxError)) throw err
+                    errors.push(`${node.label} wasn't encrypted for the buyer`)
+                }
+            }
+        }
+        return { verified: errors.length === 0, signer, errors }
+    }
+
+    /**
+     * Verifies a sale offer made for the buyer's own key and approves its price to the escrow contract. 
+     * Nothing leaves the buyer's identity until the price is locked with lockSalePayment
+     * 
+     * @param   {String}    identity                                          Buyer identity's contract address 
+     * @param   {String}    offerHash                                         Sale offer's IPFS hash
+     * @param   {String}    privateKey                                        Buyer's ecc private key. The offer must be made for its public key
+     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
+     * @param   {String}    opt.from                                          set the tx sender
+     * @param   {Number}    opt.gas                                           set the tx gas limit
+     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei
+     * @param   {Integer}   opt.nonce                                         set the tx nonce
+     * @param   {Boolean}   opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}   opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}    opt.signer                                        sign with this signer instead of opt.from's
+     * @returns {Promise<Object, Error>}                                      A promise that resolves with the transaction object, 
+     *                                                                        or rejects with a ValidationError holding the offer's errors
+     * @memberof Api
+     */
+    async acceptSaleOffer(identity, offerHash, privateKey, opt = { from: null, gas: null, gasPrice: null }) {
+        const offer = await this.ipfsService.getObject(offerHash)
+        const { errors } = await this.verifySaleOffer(offer, privateKey)
+        if(!sameAddress(offer.buyer, identity)) errors.push(`Offer was made to ${offer.buyer}`)
+        if(Crypto.normalizePublicKey(offer.buyerPublicKey) !== Crypto.normalizePublicKey(Crypto.publicKeyByPrivateKey(privateKey)))
+            errors.push('Offer was made for another public key')
+        if(errors.length > 0) throw new ValidationError('Sale offer cannot be verified', { identity, offerHash }, errors)
+        const txData = this.TokenContract.methods.increaseApproval(offer.escrow, offer.price).encodeABI()
+        return await this.forwardTransaction(identity, this.TokenContract.options.address, 0, 0, txData, false, opt)
+    }
+
+    /**
+     * Locks an accepted offer's price in the escrow contract under the offer's key hash, until the offer expires. 
+     * The buyer can't take it back before then, and the seller is paid only by revealing the sale key
+     * 
+     * @param   {String}    identity                                          Buyer identity's contract address 
+     * @param   {String}    offerHash                                         Sale offer's IPFS hash
+     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
+     * @param   {String}    opt.from                                          set the tx sender
+     * @param   {Number}    opt.gas                                           set the tx gas limit
+     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei
+     * @param   {Integer}   opt.nonce                                         set the tx nonce
+     * @param   {Boolean}   opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}   opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}    opt.signer                                        sign with this signer instead of opt.from's
+     * @returns {Promise<Object, Error>}                                      A promise that resolves with the transaction object or rejects with an error
+     * @memberof Api
+     */
+    async lockSalePayment(identity, offerHash, opt = { from: null, gas: null, gasPrice: null }) {
+        const offer = await this.ipfsService.getObject(offerHash)
+        SaleOffer.assertOffer(offer)
+        const context = { identity, offerHash }
+        if(!sameAddress(offer.buyer, identity)) throw new ValidationError(`Offer was made to ${offer.buyer}`, context)
+        if(SaleOffer.isExpired(offer)) throw new ValidationError(`Offer expired at ${offer.expiresAt}`, context)
+        const escrow = await this.getSaleEscrow(offer)
+        if(escrow.state !== 'none') throw new ValidationError(`Offer's price was already locked and is ${escrow.state}`, context)
+        const txData = this.EscrowContract.methods.lock(offer.identity, offer.price, offer.keyHash, 
+            Math.floor(Date.parse(offer.expiresAt) / 1000)).encodeABI()
+        return await this.forwardTransaction(identity, this.EscrowContract.options.address, 0, 0, txData, false, opt)
+    }
+
+    /**
+     * Claims an offer's locked price by revealing the sale key to the escrow contract, which keeps it for the buyer. 
+     * The contract pays the seller only, and only with the key the offer committed to. Fails when the escrow doesn't hold 
+     * the offer's price or expires within 10 minutes, since a claim mined after the deadline reverts with the key disclosed
+     * 
+     * @param   {String}    offerHash                                         Sale offer's IPFS hash
+     * @param   {String}    privateKey                                        Seller's ecc private key the offer was made with
+     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
+     * @param   {String}    opt.from                                          set the tx sender
+     * @param   {Number}    opt.gas                                           set the tx gas limit
+     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei
+     * @param   {Integer}   opt.nonce                                         set the tx nonce
+     * @param   {Boolean}   opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}   opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}    opt.signer                                        sign with this signer instead of opt.from's
+     * @returns {Promise<Object, Error>}                                      A promise that resolves with the claim's transaction object or rejects with an error
+     * @memberof Api
+     */
+    async releaseSale(offerHash, privateKey, opt = { from: null, gas: null, gasPrice: null }) {
+        const offer = await this.ipfsService.getObject(offerHash)
+        SaleOffer.assertOffer(offer)
+        const context = { identity: offer.identity, offerHash }
+        const saleKey = await Crypto.decryptEcc(privateKey, offer.sellerKey)
+        if(SaleOffer.keyHash(saleKey) !== offer.keyHash) throw new ValidationError('Sale key doesn\'t match the offer\'s key hash', context)
+        const escrow = await this.getSaleEscrow(offer)
+        if(escrow.state !== 'locked') throw new ValidationError(`Offer's escrow is ${escrow.state}`, context)
+        if(!sameAddress(escrow.seller, offer.identity)) throw new ValidationError(`Offer's escrow pays ${escrow.seller}`, context)
+        if(this.utils.toBN(escrow.amount).lt(this.utils.toBN(offer.price)))
+            throw new ValidationError(`${offer.buyer} locked ${escrow.amount} of the ${offer.price} tokens asked`, context)
+        if(escrow.expiresAt - Date.now() < MIN_CLAIM_WINDOW) 
+            throw new ValidationError(`Offer's escrow expires at ${new Date(escrow.expiresAt).toISOString()}, too soon to claim it`, context)
+        const txData = this.EscrowContract.methods.claim(escrow.id, `0x${saleKey}`).encodeABI()
+        return await this.forwardTransaction(offer.identity, this.EscrowContract.options.address, 0, 0, txData, false, opt)
+    }
+
+    /**
+     * Decrypts the data of an offer whose price was claimed with the sale key and verifies it against the tree the offer was made from
+     * 
+     * @param   {String}    offerHash         Sale offer's IPFS hash
+     * @param   {String}    privateKey        Buyer's ecc private key the offer was made for
+     * @returns {Promise<Object, Error>}      A promise that resolves with an object with errors and successes, 
+     *                                        or null when the key wasn't revealed yet, or rejects with an error
+     * @memberof Api
+     */
+    async getSaleData(offerHash, privateKey) {
+        const offer = await this.ipfsService.getObject(offerHash)
+        SaleOffer.assertOffer(offer)
+        const escrow = await this.getSaleEscrow(offer)
+        if(escrow.state !== 'claimed') return null
+        const saleKey = escrow.key.replace(/^0x/, '')
+        if(SaleOffer.keyHash(saleKey) !== offer.keyHash) 
+            throw new ValidationError('Revealed sale key doesn\'t match the offer\'s key hash', { identity: offer.identity, offerHash })
+        let validations = { error : [], success : [] }
+        for(const node of offer.nodes) {
+            let opened
+            try {
+                const envelope = JSON.parse(await Crypto.decryptEcc(privateKey, node.envelope))
+                opened = JSON.parse(await Crypto.decrypt(SaleOffer.leafKey(saleKey, node.leafHash), envelope))
+            }catch(err){
+                if(!(err instanceof DecryptionError || err instanceof SyntaxError)) throw err
+                validations.error.push({ label: node.label, message: 'Data cannot be decrypted' })
+                continue
+            }
+            if(node.proof && node.proof.leafHash === node.leafHash && IdentityDag.verifyProof(node.proof, opened.data, opened.salt, offer.rootHash)) 
+                validations.success.push({ label: node.label, data: opened.data })
+            else validations.error.push({ label: node.label, message: 'Wrong data or salt' })
+        }
+        return validations
+    }
+
+    /**
+     * Takes back the price locked for an offer whose sale key wasn't revealed before the escrow expired
+     * 
+     * @param   {String}    identity                                          Buyer identity's contract address 
+     * @param   {String}    offerHash                                         Sale offer's IPFS hash
+     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
+     * @param   {String}    opt.from                                          set the tx sender
+     * @param   {Number}    opt.gas                                           set the tx gas limit
+     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei
+     * @param   {Integer}   opt.nonce                                         set the tx nonce
+     * @param   {Boolean}   opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}   opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}    opt.signer                                        sign with this signer instead of opt.from's
+     * @returns {Promise<Object, Error>}                                      A promise that resolves with the transaction object or rejects with an error
+     * @memberof Api
+     */
+    async refundSale(identity, offerHash, opt = { from: null, gas: null, gasPrice: null }) {
+        const offer = await this.ipfsService.getObject(offerHash)
+        SaleOffer.assertOffer(offer)
+        const context = { identity, offerHash }
+        const escrow = await this.getSaleEscrow(offer)
+        if(escrow.state !== 'locked') throw new ValidationError(`Offer's escrow is ${escrow.state}`, context)
+        if(!sameAddress(escrow.buyer, identity)) throw new ValidationError(`Offer's price was locked by ${escrow.buyer}`, context)
+        if(Date.now() <= escrow.expiresAt) 
+            throw new ValidationError(`Seller can reveal the sale key until ${new Date(escrow.expiresAt).toISOString()}`, context)
+        const txData = this.EscrowContract.methods.refund(escrow.id).encodeABI()
+        return await this.forwardTransaction(identity, this.EscrowContract.options.address, 0, 0, txData, false, opt)
+    }
+
+    /**
+     * Reads the escrow an offer's price is locked in
+     * 
+     * @param   {Object}    offer             Sale offer
+     * @returns {Promise<Object, Error>}      A promise that resolves with { id, state, buyer, seller, amount, keyHash, expiresAt, key }, 
+     *                                        state being none, locked, claimed or refunded and expiresAt in ms, or rejects with an error
+     * @memberof Api
+     */
+    async getSaleEscrow(offer) {
+        const escrowContract = this.getEscrowContract({ identity: offer.identity })
+        if(!sameAddress(offer.escrow, escrowContract.options.address))
+            throw new ValidationError(`Offer locks its price in ${offer.escrow}, not in the escrow contract set`, { identity: offer.identity })
+        const id = SaleOffer.escrowId(offer.buyer, offer.keyHash)
+        const escrow = await this.web3Service.call(escrowContract.methods.escrows(id), { identity: offer.buyer, method: 'escrows' })
+        return {
+            id,
+            state: ESCROW_STATES[Number(escrow.state)],
+            buyer: escrow.buyer,
+            seller: escrow.seller,
+            amount: escrow.amount,
+            keyHash: escrow.keyHash,
+            expiresAt: Number(escrow.expiresAt) * 1000,
+            key: escrow.key
+        }
+    }
+
+    /**
+     * Gets the escrow contract sale offers lock their price in
+     * 
+     * @param   {Object}    [context={}]      error context { identity }
+     * @returns {Object}                      HashLockEscrow contract, or throws a ValidationError when the addresses.escrow option is missing
+     * @memberof Api
+     */
+    getEscrowContract(context = {}) {
+        if(!this.EscrowContract) throw new ValidationError('Sales need the HashLockEscrow contract\'s address in the "addresses.escrow" option', context)
+        return this.EscrowContract
+    }
+
+    /**
+     * Lists leafs of an identity on the marketplace's index, each one with its price
+     * 
+     * @param   {String}     identity                                seller identity's contract address 
+     * @param   {Object[]}   items                                   listed leafs
+     * @param   {String}     items.label                             Node label
+     * @param   {Integer}    items.price                             Node price in Swapy Tokens
+     * @param   {Object}     [opt={ terms: null, expiresAt: null }]  listing options
+     * @param   {String}     opt.terms                               sale terms, e.g. allowed uses of the data
+     * @param   {String}     opt.expiresAt                           ISO date the listing expires at
+     * @param   {String}     opt.from                                owner's address. An account set owning the identity signs by default
+     * @param   {Signer}     opt.signer                              owner's signer
+     * @returns {Promise<Object, Error>}                             A promise that resolves with { ipfsHash, listing } or rejects with an error
+     * @memberof Api
+     */
+    async publishListing(identity, items, opt = { terms: null, expiresAt: null }) {
+        const unsigned = Listing.create({ identity, items, terms: opt.terms, expiresAt: opt.expiresAt })
+        const tree = await this.getIdentityData(identity)
+        unsigned.items.forEach(item => {
+            if(!IdentityDag.generateProof(tree, item.label)) 
+                throw new ValidationError(`${item.label} is not in the anchored profile of ${identity}`, { identity, label: item.label })
+        })
+        const signature = await this.web3Service.signCredentials(Listing.signingMessage(unsigned), await this.getIdentitySigner(identity, opt))
+        const listing = Object.assign({}, unsigned, { signature })
+        const ipfsHash = await this.ipfsService.saveObject(listing)
+        await this.ipfsService.setListing(ipfsHash, listing)
+        return { ipfsHash, listing }
+    }
+
+    /**
+     * Removes a listing from the marketplace's index. The signer must own the listed identity
+     * 
+     * @param   {String}      listingId                            Listing's IPFS hash
+     * @param   {Object}      [opt={ from: null, signer: null }]   signing options
+     * @param   {String}      opt.from                             owner's address. An account set owning the identity is used by default
+     * @param   {Signer}      opt.signer                           owner's signer
+     * @returns {Promise<Boolean, Error>}                          A promise that resolves when the listing is removed or rejects with an error
+     * @memberof Api
+     */
+    async withdrawListing(listingId, opt = { from: null, signer: null }) {
+        const listing = await this.ipfsService.getObject(listingId)
+        Listing.assertListing(listing)
+        const signer = await this.getIdentitySigner(listing.identity, opt)
+        const owner = await signer.getAddress()
+        const { owners } = await this.getIdentityOwners(listing.identity)
+        if(!owners.some(current => sameAddress(current, owner)))
+            throw new ValidationError(`${owner} is not an owner of ${listing.identity}`, { identity: listing.identity, listingId })
+        return await this.ipfsService.removeListing(listingId)
+    }
+
+    /**
+     * Searches the marketplace's index. Listings are read by their IPFS hash and only those that pass verifyListing 
+     * are returned. Expired listings are left out unless asked for
+     * 
+     * @param   {Object}      [filter={}]                      search filter
+     * @param   {String}      [filter.identity]                seller identity's contract address
+     * @param   {String[]}    [filter.labels]                  labels the listings must hold
+     * @param   {Integer}     [filter.maxPrice]                highest price for the filter's labels, or every listed label
+     * @param   {Boolean}     [filter.includeExpired=false]    includes expired listings
+     * @returns {Object[]}                                     Listings with their IPFS hash as id
+     * @memberof Api
+     */
+    async searchListings(filter = {}) {
+        let found = []
+        for(const id of await this.ipfsService.getListingIds()) {
+            let listing
+            try {
+                listing = await this.ipfsService.getObject(id)
+                Listing.assertListing(listing)
+            }catch(err){
+                if(!(err instanceof StorageError || err instanceof ValidationError)) throw err
+                continue
+            }
+            if(!Listing.matches(listing, filter)) continue
+            const { errors } = await this.verifyListing(listing)
+            // an expired listing fails verification with its expiration only
+            if(errors.length === (Listing.isExpired(listing) ? 1 : 0)) found.push(Object.assign({ id }, listing))
+        }
+        return found
+    }
+
+    /**
+     * Verifies a listing: seller owner's signature, expiration and listed labels still in the seller's anchored tree
+     * 
+     * @param   {Object|String}   listing     Listing or its IPFS hash
+     * @returns {Object}                      { verified, signer, errors }
+     * @memberof Api
+     */
+    async verifyListing(listing) {
+        if(typeof listing === 'string') listing = await this.ipfsService.getObject(listing)
+        Listing.assertListing(listing)
+        let errors = []
+        if(Listing.isExpired(listing)) errors.push(`Listing expired at ${listing.expiresAt}`)
+        let signer = null
+        try {
+            signer = await this.web3Service.getCredentialsSigner(Listing.signingMessage(listing), listing.signature)
+            const { owners } = await this.getIdentityOwners(listing.identity)
+            if(!owners.some(owner => sameAddress(owner, signer))) errors.push(`${signer} is not an owner of ${listing.identity}`)
+        }catch(err){
+            if(!(err instanceof SignatureError)) throw err
+            errors.push('Signature cannot be recovered')
+        }
+        const tree = await this.getIdentityData(listing.identity)
+        listing.items.forEach(item => {
+            try {
+                if(!IdentityDag.generateProof(tree, item.label)) errors.push(`${item.label} is no longer in the anchored profile of ${listing.identity}`)
+            }catch(err){
+                if(!(err instanceof ValidationError)) throw err
+                errors.push(err.message)
+            }
+        })
+        return { verified: errors.length === 0, signer, errors }
+    }
+
+    /**
+     * Asks a listing's seller for a sale offer. The request is signed by an owner of the buyer's identity. 
+     * The seller answers with answerPurchaseRequest and the buyer accepts the offer found in the request with acceptSaleOffer
+     * 
+     * @param   {String}      identity         Buyer identity's contract address 
+     * @param   {String}      listingId        Listing's IPFS hash
+     * @param   {String}      buyerPublicKey   Buyer's ecc public key the data is sold for
+     * @param   {String[]}    [labels=null]    labels bought. Every listed label when null
+     * @param   {Object}      [opt={ from: null, signer: null }]   signing options
+     * @param   {String}      opt.from         owner's address. An account set owning the identity signs by default
+     * @param   {Signer}      opt.signer       owner's signer
+     * @returns {Promise<Object, Error>}       A promise that resolves with the signed request 
+     *                                         { type, listingId, buyer, buyerPublicKey, labels, price, requestedAt, signature } or rejects with an error
+     * @memberof Api
+     */
+    async requestPurchase(identity, listingId, buyerPublicKey, labels = null, opt = { from: null, signer: null }) {
+        const listing = await this.ipfsService.getObject(listingId)
+        const { errors } = await this.verifyListing(listing)
+        if(errors.length > 0) throw new ValidationError('Listing cannot be verified', { identity: listing.identity, listingId }, errors)
+        const bought = labels ? labels : listing.items.map(item => item.label)
+        const unsigned = PurchaseRequest.create({ listingId, buyer: identity, buyerPublicKey, labels: bought, price: Listing.price(listing, bought) })
+        const signature = await this.web3Service.signCredentials(PurchaseRequest.signingMessage(unsigned), await this.getIdentitySigner(identity, opt))
+        const request = Object.assign({}, unsigned, { signature })
+        await this.ipfsService.setPurchaseRequest(listingId, request)
+        return request
+    }
+
+    /**
+     * Lists the purchase requests made from a listing that pass verifyPurchaseRequest
+     * 
+     * @param   {String}      listingId        Listing's IPFS hash
+     * @returns {Object[]}                     signed requests { buyer, buyerPublicKey, labels, price, requestedAt, offerHash }
+     * @memberof Api
+     */
+    async getPurchaseRequests(listingId) {
+        const listing = await this.ipfsService.getObject(listingId)
+        Listing.assertListing(listing)
+        let verified = []
+        for(const request of await this.ipfsService.getPurchaseRequests(listingId)) {
+            if((await this.verifyPurchaseRequest(listingId, request, listing)).verified) verified.push(request)
+        }
+        return verified
+    }
+
+    /**
+     * Verifies a purchase request: made from the listing, priced from it and signed by an owner of the buyer's identity
+     * 
+     * @param   {String}      listingId          Listing's IPFS hash
+     * @param   {Object}      request            purchase request
+     * @param   {Object}      [listing=null]     the listing, when already read
+     * @returns {Object}                         { verified, signer, errors }
+     * @memberof Api
+     */
+    async verifyPurchaseRequest(listingId, request, listing = null) {
+        if(!listing) listing = await this.ipfsService.getObject(listingId)
+        let errors = []
+        try {
+            PurchaseRequest.assertRequest(request)
+        }catch(err){
+            if(!(err instanceof ValidationError)) throw err
+            return { verified: false, signer: null, errors: [err.message] }
+        }
+        if(request.listingId !== listingId) errors.push(`Request was made from ${request.listingId}`)
+        try {
+            if(Listing.price(listing, request.labels) !== request.price) errors.push(`Listed price of ${request.labels.join(', ')} isn't ${request.price}`)
+        }catch(err){
+            if(!(err instanceof ValidationError)) throw err
+            errors.push(err.message)
+        }
+        let signer = null
+        try {
+            signer = await this.web3Service.getCredentialsSigner(PurchaseRequest.signingMessage(request), request.signature)
+            const { owners } = await this.getIdentityOwners(request.buyer)
+            if(!owners.some(owner => sameAddress(owner, signer))) errors.push(`${signer} is not an owner of ${request.buyer}`)
+        }catch(err){
+            if(!(err instanceof SignatureError)) throw err
+            errors.push('Signature cannot be recovered')
+        }
+        return { verified: errors.length === 0, signer, errors }
+    }
+
+    /**
+     * Answers a purchase request with a sale offer priced from the listing. The request must pass verifyPurchaseRequest
+     * 
+     * @param   {String}      listingId                Listing's IPFS hash
+     * @param   {String}      buyer                    Buyer identity's contract address 
+     * @param   {String}      privateKey               Seller's ecc private key
+     * @param   {Object}      [opt={ ttl: null }]      offer options
+     * @param   {Integer}     opt.ttl                  ms the seller has to reveal the sale key
+     * @param   {String}      opt.from                 owner's address signing the offer
+     * @param   {Signer}      opt.signer               owner's signer
+     * @returns {Promise<Object, Error>}               A promise that resolves with { ipfsHash, offer } or rejects with an error
+     * @memberof Api
+     */
+    async answerPurchaseRequest(listingId, buyer, privateKey, opt = { ttl: null }) {
+        const listing = await this.ipfsService.getObject(listingId)
+        Listing.assertListing(listing)
+        const context = { identity: listing.identity, listingId }
+        const request = await this.ipfsService.getPurchaseRequest(listingId, buyer)
+        if(!request) throw new ValidationError(`${buyer} didn't ask to buy from this listing`, context)
+        const { errors } = await this.verifyPurchaseRequest(listingId, request, listing)
+        if(!sameAddress(request.buyer, buyer)) errors.push(`Request was made by ${request.buyer}`)
+        if(errors.length > 0) throw new ValidationError('Purchase request cannot be verified', context, errors)
+        const saleNodes = request.labels.map(label => ({ label }))
+        const sale = await this.createSaleOffer(listing.identity, request.buyer, request.buyerPublicKey, saleNodes, privateKey, {
+            price: request.price, ttl: opt.ttl, from: opt.from, signer: opt.signer 
+        })
+        await this.ipfsService.setPurchaseRequest(listingId, Object.assign({}, request, { offerHash: sale.ipfsHash }))
+        return sale
+    }
+    
+    /**
+     * Signs a multi sig transaction.
+     * 
+     * @param   {String}    identity                                          identity's contract address 
+     * @param   {Integer}   transactionId                                     transaction's index 
+     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
+     * @param   {String}    opt.from                                          set the tx sender
+     * @param   {Number}    opt.gas                                           set the tx gas limit
+     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei 
+     * @param   {Integer}   opt.nonce                                         set the tx nonce
+     * @param   {Boolean}   opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}   opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}    opt.signer                                        sign with this signer instead of opt.from's
+     * @returns {Promise<Object, Error>}                                      A promise that resolves with the transaction object or rejects with an error
+     * @memberof Api
+     */
+    signTransaction (identity, transactionId, opt = { from: null, gas: null, gasPrice: null }) {
+        const from = opt.from ? opt.from : this.defaultOptions.from
+        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
+        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
+        this.MultiSigIdentityContract.options.address = identity
+        return this.web3Service.send(this.MultiSigIdentityContract.methods.signTransaction(transactionId),
+            { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'signTransaction' })
+    }
+
+    /**
+     * Executes a multi sig transaction. A transaction anchoring a profile is checked against the profile anchored now,
+     * so a proposal derived from a version another proposal already replaced rejects with a ProfileConflictError
+     *
+     * @param   {String}    identity                                          identity's contract address 
+     * @param   {Integer}   transactionId                                     transaction's index 
+     * @param   {Object}    [opt={ from: null, gas: null, gasPrice: null }]   transaction options
+     * @param   {String}    opt.from                                          set the tx sender
+     * @param   {Number}    opt.gas                                           set the tx gas limit
+     * @param   {String}    opt.gasPrice                                      set the tx gas price in gwei 
+     * @param   {Integer}   opt.nonce                                         set the tx nonce
+     * @param   {Boolean}   opt.prepare                                       return the unsigned transaction instead of sending it
+     * @param   {Boolean}   opt.estimate                                      resolve with what the transaction costs instead of sending it
+     * @param   {Signer}    opt.signer                                        sign with this signer instead of opt.from's
+     * @returns {Promise<Object, Error>}                                      A promise that resolves with the transaction object or rejects with an error                          
+    */
+    async executeTransaction(identity, transactionId, opt = { from: null, gas: null, gasPrice: null }) {
+        const from = opt.from ? opt.from : this.defaultOptions.from
+        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
+        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
+        this.MultiSigIdentityContract.options.address = identity
+        const proposal = await this.web3Service.call(this.MultiSigIdentityContract.methods.transactions(transactionId), 
+            { identity, method: 'transactions' })
+        const call = sameAddress(proposal.to, identity) ? this.abiDecoder.decode(proposal.data) : null
+        if(call && call.name === 'setFinancialData' && call.profileHash) await this.assertProfileBase(identity, call.profileHash)
+        this.MultiSigIdentityContract.options.address = identity
+        return this.web3Service.send(this.MultiSigIdentityContract.methods.executeTransaction(transactionId),
+            { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'executeTransaction' })
+    }
+
+    /**
+     * Returns the profile data of an identity
+     * 
+     * @param    {String}  identity              identity's contract address
+     * @param    {Boolean} [fetchData=false]     retrieve leafs data or not
+     * @param    {String}  [privateKey=null]     User's private key. Used to decrypt his data 
+     * @returns  {Promise<Object, Error>}        A promise that resolves with the transaction object or rejects with an error
+     * @memberof Api
+     */
+    async getIdentityData(identity, fetchData = false, privateKey = null) {
+        const profileHash = await this.getProfileHash(identity)
+        const tree = await this.getTreeData(profileHash, fetchData, privateKey)
+        return tree           
+    } 
+
+    /**
+     * Returns the IPFS hash of the profile tree anchored on an identity
+     * 
+     * @param    {String}  identity              identity's contract address
+     * @returns  {Promise<String, Error>}        A promise that resolves with the tree's IPFS hash or rejects with an error
+     * @memberof Api
+     */
+    async getProfileHash(identity) {
+        this.IdentityContract.options.address = identity
+        const profileHash = await this.web3Service.call(this.IdentityContract.methods.financialData(), { identity, method: 'financialData' })
+        return this.utils.hexToAscii(profileHash)
+    }
+
+    /**
+     * Returns how an identity's profile evolved. The profile the identity was created with comes first, then each version
+     * anchored by a ProfileChanged event. Every version is loaded and compared to the previous one
+     * 
+     * @param    {String}  identity              identity's contract address
+     * @param    {String}  [privateKey=null]     User's private key. Used to decrypt the leafs and report their data changes
+     * @returns  {Promise<Object[], Error>}      A promise that resolves with the timeline, oldest version first, or rejects with an error
+     * @memberof Api
+     */
+    async getProfileHistory(identity, privateKey = null) {
+        this.IdentityContract.options.address = identity
+        const logs = await this.IdentityContract.getPastEvents('ProfileChanged', { fromBlock: 0 })
+        let anchors = logs.map(log => ({
+            ipfsHash: this.utils.hexToAscii(log.returnValues.financialData),
+            timestamp: Number(log.returnValues.timestamp),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+        }))
+        const initial = await this.getInitialProfile(identity)
+        if(initial) anchors.unshift(initial)
+        let timeline = []
+        let previousTree = null
+        for(let i = 0; i < anchors.length; i++) {
+            const version = await this.getProfileVersion(anchors[i].ipfsHash, privateKey)
+            timeline.push({
+                version: i,
+                ipfsHash: anchors[i].ipfsHash,
+                timestamp: anchors[i].timestamp,
+                date: Moment.unix(anchors[i].timestamp).toISOString(),
+                blockNumber: anchors[i].blockNumber,
+                transactionHash: anchors[i].transactionHash,
+                decrypted: version.decrypted,
+                tree: version.tree,
+                diff: IdentityDag.diff(previousTree, version.tree)
+            })
+            previousTree = version.tree
+        }
+        return timeline
+    }
+
+    /**
+     * Finds the profile an identity was created with, which no ProfileChanged event anchors. It is read from the creation
+     * call's _identityData or, when the call cannot be decoded, from the identity's state at the creation block
+     * 
+     * @param    {String}  identity              identity's contract address
+     * @returns  {Promise<Object, Error>}        A promise that resolves with { ipfsHash, timestamp, blockNumber, transactionHash }
+     *                                           or null when the identity wasn't created by the protocol or without a profile
+     * @memberof Api
+     */
+    async getInitialProfile(identity) {
+        const creation = await this.getIdentityCreation(identity)
+        if(!creation) return null
+        let profileData = creation.params ? creation.params._identityData : null
+        if(!creation.params) {
+            this.IdentityContract.options.address = identity
+            profileData = await this.web3Service.call(this.IdentityContract.methods.financialData(), 
+                { identity, method: 'financialData' }, creation.blockNumber)
+        }
+        const ipfsHash = profileData ? this.utils.hexToAscii(profileData) : ''
+        if(!ipfsHash) return null
+        return { ipfsHash, timestamp: creation.createdAt, blockNumber: creation.blockNumber, transactionHash: creation.transactionHash }
+    }
+
+    /**
+     * Loads a profile version, decrypting its leafs when possible
+     * 
+     * @param    {String}  ipfsHash              Tree's IPFS hash
+     * @param    {String}  [privateKey=null]     User's private key. Used to decrypt his data 
+     * @returns  {Promise<Object, Error>}        A promise that resolves with { tree, decrypted } or rejects with an error
+     * @memberof Api
+     */
+    async getProfileVersion(ipfsHash, privateKey = null) {
+        if(privateKey) {
+            try {
+                const tree = await this.getTreeData(ipfsHash, true, privateKey)
+                return { tree, decrypted: true }
+            }catch(err){
+                if(!(err instanceof DecryptionError)) throw err
+            }
+        }
+        const tree = await this.getTreeData(ipfsHash)
+        return { tree, decrypted: false }
+    }
+
+    /**
+     * Returns a tree located on IPFS
+     * 
+     * @param    {String}  ipfsHash              Tree's IPFS hash
+     * @param    {Boolean} [fetchData=false]     retrieve leafs data or not
+     * @param    {String}  [privateKey=null]     User's private key. Used to decrypt his data 
+     * @returns  {Promise<Object, Error>}        A promise that resolves with the transaction object or rejects with an error
+     * @memberof Api
+     */
+    async getTreeData(ipfsHash, fetchData = false, privateKey = null) {
+        const tree = await this.ipfsService.searchNode(ipfsHash, 'root', fetchData, privateKey)
+        return tree           
+    } 
+    
+    /**
+     * Sets new data into an IPFS tree 
+     * 
+     * @param    {String}     ipfsHash       Tree's IPFS hash
+     * @param    {Object[]}   profileNodes   Identity's tree nodes to be inserted
+     * @param    {String}     publicKey      User's public key. Used to encrypt the data
+     * @returns  {Promise<Object, Error>}    A promise that resolves with the transaction object or rejects with an error
+     * @memberof Api
+     */
+    async insertTreeData(ipfsHash, profileNodes, publicKey) {
+        const newHash = await this.ipfsService.insertNodes(ipfsHash, profileNodes, publicKey)
+        return newHash
+    }
+
+    /**
+     * Updates tree's data
+     * @param   {String}  ipfsHash         Tree's IPFS hash
+     * @param   {String}  nodeLabel        Label or path of the node to be updated
+     * @param   {String}  data             New data
+     * @param   {String}  publicKey        User's public key. Used to encrypt the data  
+     * @returns {Promise<Object, Error>}   A promise that resolves with the transaction object or rejects with an error 
+     * @memberof Api
+     */
+    async updateTreeData(ipfsHash, nodeLabel, data, publicKey) {
+        const newHash = await this.ipfsService.updateNode(ipfsHash, nodeLabel, data, publicKey)
+        return newHash
+    }
+
+    /**
+     * Applies a batch of edits to a tree and saves the new version once
+     * 
+     * @param   {String}    ipfsHash      Tree's IPFS hash
+     * @param   {Object[]}  operations    Edits { type: insert/update/remove/move, insertion, label, data, parentLabel }
+     * @param   {String}    publicKey     User's public key. Used to encrypt the data
+     * @returns {Promise<String, Error>}  A promise that resolves with the new tree's IPFS hash or rejects with an error 
+     * @memberof Api
+     */
+    async applyTreeEdits(ipfsHash, operations, publicKey) {
+        const newHash = await this.ipfsService.applyOperations(ipfsHash, operations, publicKey)
+        return newHash
+    }
+
+    /**
+     * Merges two tree versions derived from the same base. Our changes are replayed on top of theirs
+     * 
+     * @param   {String}    baseHash      Common ancestor tree's IPFS hash
+     * @param   {String}    oursHash      Our tree's IPFS hash
+     * @param   {String}    theirsHash    Their tree's IPFS hash, usually the one currently anchored
+     * @param   {String}    [identity]    Identity's contract address, reported on conflicts
+     * @returns {Promise<String, Error>}  A promise that resolves with the merged tree's IPFS hash or rejects with a ProfileConflictError
+     * @memberof Api
+     */
+    async mergeProfiles(baseHash, oursHash, theirsHash, identity = null) {
+        const base = await this.ipfsService.getObject(baseHash)
+        const ours = await this.ipfsService.getObject(oursHash)
+        const theirs = await this.ipfsService.getObject(theirsHash)
+        const merge = IdentityDag.merge(base, ours, theirs)
+        if(merge.conflicts.length > 0) throw new ProfileConflictError(identity, baseHash, theirsHash, oursHash, merge.conflicts)
+        return await this.ipfsService.saveVersion(merge.tree, theirsHash)
+    }
+
+    /**
+     * Starts a batch of profile edits to be anchored by a single transaction
+     * 
+     * @param   {String}    identity          Identity's contract address
+     * @param   {String}    publicKey         User's public key. Used to encrypt the data
+     * @param   {Boolean}   [multiSig=false]  is a multi sig identity
+     * @returns {ProfileEditor}               Edit builder
+     * @memberof Api
+     */
+    editProfile(identity, publicKey, multiSig = false) {
+        return new ProfileEditor(this, identity, publicKey, multiSig)
+    }
+
+    /**
+     * Allows a recipient to decrypt a single leaf of the tree
+     * 
+     * @param   {String}  ipfsHash             Tree's IPFS hash
+     * @param   {String}  nodeLabel            Label or path of the leaf to be shared
+     * @param   {String}  privateKey           User's private key. Used to unwrap the leaf's key
+     * @param   {String}  recipientPublicKey   Recipient's public key
+     * @returns {Promise<String, Error>}       A promise that resolves with the new tree's IPFS hash or rejects with an error 
+     * @memberof Api
+     */
+    async grantDataAccess(ipfsHash, nodeLabel, privateKey, recipientPublicKey) {
+        const newHash = await this.ipfsService.grantNodeAccess(ipfsHash, nodeLabel, privateKey, recipientPublicKey)
+        return newHash
+    }
+
+    /**
+     * Revokes a recipient's access to a leaf of the tree. The leaf is encrypted again under a new key
+     * 
+     * @param   {String}  ipfsHash             Tree's IPFS hash
+     * @param   {String}  nodeLabel            Label or path of the shared leaf
+     * @param   {String}  privateKey           User's private key. Used to unwrap the leaf's key
+     * @param   {String}  recipientPublicKey   Recipient's public key
+     * @returns {Promise<String, Error>}       A promise that resolves with the new tree's IPFS hash or rejects with an error 
+     * @memberof Api
+     */
+    async revokeDataAccess(ipfsHash, nodeLabel, privateKey, recipientPublicKey) {
+        const newHash = await this.ipfsService.revokeNodeAccess(ipfsHash, nodeLabel, privateKey, recipientPublicKey)
+        return newHash
+    }
+
+    /**
+     * Lists the public keys allowed to decrypt a leaf of the tree
+     * 
+     * @param   {String}  ipfsHash     Tree's IPFS hash
+     * @param   {String}  nodeLabel    Label or path of the leaf
+     * @returns {Promise<String[], Error>}  A promise that resolves with the recipients' public keys or rejects with an error 
+     * @memberof Api
+     */
+    async getDataRecipients(ipfsHash, nodeLabel) {
+        const recipients = await this.ipfsService.getNodeRecipients(ipfsHash, nodeLabel)
+        return recipients
+    }
+
+    /**
+     * Updates Identity's profile data
+     * 
+     * @param   {String}  identity                                         Identity's contract address 
+     * @param   {String}  profileHash                                      Tree's IPFS hash  
+     * @param   {Boolean} [multiSig=false]                                 is a multi sig identity
+     * @param   {Object}  [opt={ from: null, gas: null, gasPrice: null }]  transaction options
+     * @param   {String}  opt.from                                         set the tx sender
+     * @param   {Number}  opt.gas                                          set the tx gas limit
+     * @param   {String}  opt.gasPrice                                     set the tx gas price in gwei 
+     * @param   {Integer} opt.nonce                                        set the tx nonce
+     * @param   {Boolean} opt.prepare                                      return the unsigned transaction instead of sending it
+     * @param   {Boolean} opt.estimate                                     resolve with what the transaction costs instead of sending it
+     * @param   {Signer}  opt.signer                                       sign with this signer instead of opt.from's
+     * @param   {String}  [opt.baseHash]                                   tree's IPFS hash the new profile was derived from. Defaults to the base
+     *                                                                     recorded by the tree operations. Rejects with a ProfileConflictError 
+     *                                                                     if the anchored profile changed since
+     * @returns {Promise<Object, Error>}                                   A promise that resolves with the transaction object or rejects with an error 
+     * @memberof Api
+     */
+    async updateIdentityData(identity, profileHash, multiSig = false, opt = { from: null, gas: null, gasPrice: null }) {
+        const from = opt.from ? opt.from : this.defaultOptions.from
+        const gas = opt.gas ? opt.gas : this.defaultOptions.gas
+        const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
+        await this.assertProfileBase(identity, profileHash, opt.baseHash)
+        if(!multiSig) {
+            this.IdentityContract.options.address = identity
+            return this.web3Service.send(this.IdentityContract.methods.setFinancialData(this.utils.asciiToHex(profileHash)),
+                { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'setFinancialData' })
+        }else{
+            this.MultiSigIdentityContract.options.address = identity
+            const txData = this.MultiSigIdentityContract.methods.setFinancialData(this.utils.asciiToHex(profileHash)).encodeABI()
+            return this.web3Service.send(this.MultiSigIdentityContract.methods.addTransaction(identity, 0, txData),
+                { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'addTransaction' })
+        }
+    }
+
+    /**
+     * Checks the profile about to be anchored was derived from the one anchored now, possibly through
+     * edits that were never anchored
+     * 
+     * @param   {String}  identity          Identity's contract address 
+     * @param   {String}  profileHash       Tree's IPFS hash about to be anchored
+     * @param   {String}  [baseHash=null]   tree's IPFS hash the profile was derived from. Defaults to the base the tree recorded
+     * @returns {Promise<Boolean, Error>}   A promise that resolves when the base is current, or the tree was built from scratch,
+     *                                      or rejects with a ProfileConflictError
+     * @memberof Api
+     */
+    async assertProfileBase(identity, profileHash, baseHash = null) {
+        const currentHash = await this.getProfileHash(identity)
+        if(baseHash) {
+            if(currentHash !== baseHash) throw new ProfileConflictError(identity, baseHash, currentHash, profileHash)
+            return true
+        }
+        if(!(await this.ipfsService.getBaseHash(profileHash))) return true
+        const base = await this.ipfsService.findProfileBase(profileHash, currentHash)
+        if(!base.derived) throw new ProfileConflictError(identity, base.baseHash, currentHash, profileHash)
+        return true
     }
 
     /**
@@ -567,6 +2280,10 @@ class Api {
      * @param   {String}  opt.from                                         set the tx sender
      * @param   {Number}  opt.gas                                          set the tx gas limit
      * @param   {String}  opt.gasPrice                                     set the tx gas price in gwei 
+     * @param   {Integer} opt.nonce                                        set the tx nonce
+     * @param   {Boolean} opt.prepare                                      return the unsigned transaction instead of sending it
+     * @param   {Boolean} opt.estimate                                     resolve with what the transaction costs instead of sending it
+     * @param   {Signer}  opt.signer                                       sign with this signer instead of opt.from's
      * @returns {Promise<Object, Error>}                                   A promise that resolves with the transaction object or rejects with an error
      * @memberof Api
      */
@@ -576,9 +2293,8 @@ class Api {
         const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
         this.MultiSigIdentityContract.options.address = identity
         const txData = this.MultiSigIdentityContract.methods.addOwner(newOwner).encodeABI()
-        return this.MultiSigIdentityContract.methods
-        .addTransaction(identity, 0, txData)
-        .send({ from, gas, gasPrice })
+        return this.web3Service.send(this.MultiSigIdentityContract.methods.addTransaction(identity, 0, txData),
+            { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'addTransaction' })
     }
 
     /**
@@ -590,6 +2306,10 @@ class Api {
      * @param   {String}  opt.from                                         set the tx sender
      * @param   {Number}  opt.gas                                          set the tx gas limit
      * @param   {String}  opt.gasPrice                                     set the tx gas price in gwei 
+     * @param   {Integer} opt.nonce                                        set the tx nonce
+     * @param   {Boolean} opt.prepare                                      return the unsigned transaction instead of sending it
+     * @param   {Boolean} opt.estimate                                     resolve with what the transaction costs instead of sending it
+     * @param   {Signer}  opt.signer                                       sign with this signer instead of opt.from's
      * @returns {Promise<Object, Error>}                                   A promise that resolves with the transaction object or rejects with an error
      * @memberof Api
      */
@@ -597,11 +2317,10 @@ class Api {
         const from = opt.from ? opt.from : this.defaultOptions.from
         const gas = opt.gas ? opt.gas : this.defaultOptions.gas
         const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
-        const txData = MultiSigIdentityContract.methods.removeOwner(oldOwner).encodeABI()
+        const txData = this.MultiSigIdentityContract.methods.removeOwner(oldOwner).encodeABI()
         this.MultiSigIdentityContract.options.address = identity
-        return this.MultiSigIdentityContract.methods
-        .addTransaction(identity, 0, txData)
-        .send({ from, gas, gasPrice })
+        return this.web3Service.send(this.MultiSigIdentityContract.methods.addTransaction(identity, 0, txData),
+            { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'addTransaction' })
     }
     
     /**
@@ -613,6 +2332,10 @@ class Api {
      * @param   {String}  opt.from                                         set the tx sender
      * @param   {Number}  opt.gas                                          set the tx gas limit
      * @param   {String}  opt.gasPrice                                     set the tx gas price in gwei 
+     * @param   {Integer} opt.nonce                                        set the tx nonce
+     * @param   {Boolean} opt.prepare                                      return the unsigned transaction instead of sending it
+     * @param   {Boolean} opt.estimate                                     resolve with what the transaction costs instead of sending it
+     * @param   {Signer}  opt.signer                                       sign with this signer instead of opt.from's
      * @returns {Promise<Object, Error>}                                   A promise that resolves with the transaction object or rejects with an error 
      * @memberof Api
      */
@@ -621,12 +2344,43 @@ class Api {
         const gas = opt.gas ? opt.gas : this.defaultOptions.gas
         const gasPrice = opt.gasPrice ? opt.gasPrice : this.defaultOptions.gasPrice
         this.MultiSigIdentityContract.options.address = identity
-        const txData = MultiSigIdentityContract.methods.changeRequired(required).encodeABI()
-        return this.MultiSigIdentityContract.methods
-        .addTransaction(identity, 0, txData)
-        .send({ from, gas, gasPrice })
+        const txData = this.MultiSigIdentityContract.methods.changeRequired(required).encodeABI()
+        return this.web3Service.send(this.MultiSigIdentityContract.methods.addTransaction(identity, 0, txData),
+            { to: identity, from, gas, gasPrice, nonce: opt.nonce, prepare: opt.prepare, estimate: opt.estimate, signer: opt.signer }, { identity, method: 'addTransaction' })
     }
 
 }
 
+const didResolutionError = (error, message) => ({ 
+    didResolutionMetadata: { error, message }, didDocument: null, didDocumentMetadata: {} 
+})
+
+const IDENTITY_TYPES = { personal: 0, multiSig: 1 }
+
+const MAX_CREATION_CALL_DEPTH = 4
+
+const ESCROW_STATES = ['none', 'locked', 'claimed', 'refunded']
+
+const MIN_CLAIM_WINDOW = 600000
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+
+/**
+ * Parses the decrypted credentials. Credentials signed before challenges existed hold a bare signature
+ *
+ * @param   {String}   decrypted   decrypted credentials
+ * @returns {Object}               { challenge, signature }
+ */
+const parseSignedChallenge = decrypted => {
+    let signed
+    try {
+        signed = JSON.parse(decrypted)
+    }catch(err){
+        signed = null
+    }
+    if(!signed || typeof signed !== 'object' || !signed.challenge || !signed.signature)
+        throw new ChallengeError('Credentials are not bound to an auth challenge', 'malformed')
+    return signed
+}
+
 export default Api
\ No newline at end of file
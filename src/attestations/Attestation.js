@@ -0,0 +1,68 @@
+import { CanonicalJson } from '../utils/CanonicalJson'
+import { ValidationError } from '../errors'
+
+const ATTESTATION_TYPE = 'SwapyNodeAttestation'
+
+/**
+ * Third-party statement about a profile node: the attestor signs the node's hash within an identity's tree,
+ * so the attestation holds while the node keeps its data
+ *
+ * @class Attestation
+ */
+class Attestation {
+
+   /**
+    * Builds an unsigned attestation
+    *
+    * @param   {Object}   params
+    * @param   {String}   params.identity              identity's contract address
+    * @param   {String}   params.path                  node's path within the tree
+    * @param   {String}   params.nodeHash              node's hash
+    * @param   {String}   params.attestor              attestor's address
+    * @param   {String}   [params.claim=null]          what the attestor checked, e.g. "kyc:address"
+    * @param   {String}   [params.expiresAt=null]      ISO date the attestation expires at
+    * @param   {String}   [params.revocations=null]    name (e.g. IPNS) the attestor publishes its revocation list under
+    * @returns {Object}                                unsigned attestation
+    */
+    static create({ identity, path, nodeHash, attestor, claim = null, expiresAt = null, revocations = null }) {
+        if(!attestor) throw new ValidationError('An attestor account is required to attest a node', { identity })
+        if(!nodeHash) throw new ValidationError(`Node ${path} has no hash to attest`, { identity, label: path })
+        return {
+            type: ATTESTATION_TYPE,
+            identity: identity.toLowerCase(),
+            path,
+            nodeHash,
+            attestor: attestor.toLowerCase(),
+            claim,
+            issuedAt: new Date().toISOString(),
+            expiresAt,
+            revocations
+        }
+    }
+
+   /**
+    * Message the attestor signs with eth_sign: the attestation's canonical JSON without the signature
+    *
+    * @param   {Object}   attestation    attestation
+    * @returns {String}                  message to sign
+    */
+    static signingMessage(attestation) {
+        let unsigned = Object.assign({}, attestation)
+        delete unsigned.signature
+        delete unsigned.id
+        return CanonicalJson.stringify(unsigned)
+    }
+
+   /**
+    * Checks an attestation's shape
+    *
+    * @param   {Object}   attestation    attestation
+    */
+    static assertAttestation(attestation) {
+        if(!attestation || attestation.type !== ATTESTATION_TYPE) throw new ValidationError(`Not a ${ATTESTATION_TYPE}`)
+        const missing = ['identity', 'path', 'nodeHash', 'attestor', 'issuedAt', 'signature'].filter(key => !attestation[key])
+        if(missing.length > 0) throw new ValidationError(`Attestation misses ${missing.join(', ')}`, { identity: attestation.identity })
+    }
+}
+
+export { Attestation }
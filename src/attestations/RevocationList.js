@@ -0,0 +1,89 @@
+import { CanonicalJson } from '../utils/CanonicalJson'
+import { ValidationError } from '../errors'
+
+const REVOCATION_LIST_TYPE = 'SwapyAttestationRevocationList'
+
+/**
+ * Attestations withdrawn by their attestor, referenced by attestation id (the attestation's IPFS hash).
+ * Each attestor signs and publishes its own list, replacing the previous one. Every list carries a sequence one
+ * higher than the list it replaces, so verifiers can refuse an older list served in place of the current one
+ *
+ * @class RevocationList
+ */
+class RevocationList {
+
+   /**
+    * Builds an empty list
+    *
+    * @param   {String}   attestor    attestor's address
+    * @returns {Object}               unsigned list { type, attestor, sequence, revoked, updatedAt }
+    */
+    static create(attestor) {
+        if(!attestor) throw new ValidationError('An attestor account is required to publish revocations')
+        return { type: REVOCATION_LIST_TYPE, attestor: attestor.toLowerCase(), sequence: 0, revoked: [], updatedAt: new Date().toISOString() }
+    }
+
+   /**
+    * Adds an attestation to a list
+    *
+    * @param   {Object}   list              revocation list
+    * @param   {String}   attestationId     attestation's IPFS hash
+    * @param   {String}   [reason=null]     why it was withdrawn, e.g. "document expired"
+    * @returns {Object}                     unsigned list including the attestation
+    */
+    static revoke(list, attestationId, reason = null) {
+        const revokedAt = new Date().toISOString()
+        const revoked = list.revoked.filter(entry => entry.id !== attestationId).concat({ id: attestationId, reason, revokedAt })
+        let unsigned = Object.assign({}, list, { sequence: RevocationList.sequence(list) + 1, revoked, updatedAt: revokedAt })
+        delete unsigned.signature
+        return unsigned
+    }
+
+   /**
+    * Finds an attestation's revocation
+    *
+    * @param   {Object}   list              revocation list
+    * @param   {String}   attestationId     attestation's IPFS hash
+    * @returns {Object}                     { id, reason, revokedAt } or null when it wasn't revoked
+    */
+    static find(list, attestationId) {
+        const entry = list ? list.revoked.find(revocation => revocation.id === attestationId) : null
+        return entry ? entry : null
+    }
+
+   /**
+    * Reads a list's sequence. Lists published before sequences were introduced count as 0
+    *
+    * @param   {Object}   list    revocation list
+    * @returns {Number}           sequence
+    */
+    static sequence(list) {
+        return list.sequence !== undefined ? list.sequence : 0
+    }
+
+   /**
+    * Message the attestor signs with eth_sign: the list's canonical JSON without the signature
+    *
+    * @param   {Object}   list    revocation list
+    * @returns {String}           message to sign
+    */
+    static signingMessage(list) {
+        let unsigned = Object.assign({}, list)
+        delete unsigned.signature
+        return CanonicalJson.stringify(unsigned)
+    }
+
+   /**
+    * Checks a list's shape
+    *
+    * @param   {Object}   list    revocation list
+    */
+    static assertList(list) {
+        if(!list || list.type !== REVOCATION_LIST_TYPE || !list.attestor || !Array.isArray(list.revoked) || !list.signature)
+            throw new ValidationError(`Not a signed ${REVOCATION_LIST_TYPE}`)
+        if(list.sequence !== undefined && !(Number.isInteger(list.sequence) && list.sequence >= 0))
+            throw new ValidationError(`${REVOCATION_LIST_TYPE} sequence must be a non negative integer`)
+    }
+}
+
+export { RevocationList }
@@ -0,0 +1,4 @@
+import { Attestation } from './Attestation'
+import { RevocationList } from './RevocationList'
+
+export { Attestation, RevocationList }
@@ -0,0 +1,182 @@
+import { ethAddresses, DEFAULT_NETWORK } from './ethereum'
+import { ipfsProvider } from './ipfs'
+import { ProfileSchema } from '../schema/ProfileSchema'
+import { FeeStrategy, NodeFeeStrategy, FixedFeeStrategy, Eip1559FeeStrategy } from '../fees'
+import { MemoryNonceStore } from '../nonces'
+import { ValidationError } from '../errors'
+
+const STORAGE_METHODS = ['add', 'get', 'mkdir', 'write', 'read', 'rm']
+
+const OPTIONAL_STORAGE_METHODS = ['ls', 'publishName', 'resolveName']
+
+const NONCE_STORE_METHODS = ['has', 'use']
+
+const DEFAULT_REVOCATION_CACHE_TTL = 60000
+
+const DEFAULT_GAS_MARGIN = 1.2
+
+const DEFAULT_AUTH_DOMAIN = 'swapy.network'
+
+const FEE_STRATEGIES = ['node', 'fixed', 'eip1559']
+
+const isAddress = address => typeof address === 'string' && /^0x[0-9a-fA-F]{40}$/.test(address)
+
+const isPositiveInteger = value => Number.isInteger(Number(value)) && Number(value) > 0
+
+/**
+ * Checks whether the Api constructor received an options object instead of positional arguments
+ *
+ * @param   {*}        arg   first constructor argument
+ * @returns {Boolean}        true when it is an options object
+ */
+const isApiOptions = arg => !!arg && typeof arg === 'object' && Object.prototype.hasOwnProperty.call(arg, 'provider')
+
+/**
+ * Validates the Api options and fills in the defaults
+ *
+ * @param   {Object}          options                     Api options
+ * @param   {String|Object}   options.provider            ethereum http provider url or a provider object (e.g. injected by the browser)
+ * @param   {String}          [options.privateKey]        default account's private key
+ * @param   {String}          [options.network]           network name from config/ethereum. Ignored when addresses are given
+ * @param   {Object}          [options.addresses]         contract addresses
+ * @param   {String}          options.addresses.protocol  IdentityProtocol contract's address
+ * @param   {String}          options.addresses.token     Token contract's address
+ * @param   {String}          [options.addresses.escrow]  HashLockEscrow contract's address sale offers lock their price in
+ * @param   {Object}          [options.ipfs]              IPFS http api endpoint
+ * @param   {String}          options.ipfs.host           ipfs node host
+ * @param   {String}          options.ipfs.port           ipfs node port
+ * @param   {String}          options.ipfs.protocol       host protocol http/https
+ * @param   {StorageAdapter}  [options.storage]           storage adapter. Takes precedence over options.ipfs.
+ *                                                            ls, publishName and resolveName are optional
+ * @param   {Number}          [options.gas]               default tx gas limit. Estimated per transaction when missing
+ * @param   {String}          [options.gasPrice]          default tx gas price in wei, paid by the 'fixed' fee strategy
+ * @param   {Number}          [options.gasMargin=1.2]     multiplier applied to estimated gas limits
+ * @param   {String|FeeStrategy} [options.feeStrategy]    'node', 'fixed', 'eip1559' or a FeeStrategy. Defaults to 'fixed' when gasPrice is given, 'node' otherwise
+ * @param   {Number}          [options.chainId]           chain id of the network
+ * @param   {ProfileSchema|Object} [options.schema]       profile schema (or its definition) insertions are validated against
+ * @param   {String}          [options.domain='swapy.network']  relying party's domain auth challenges are issued for
+ * @param   {NonceStore}      [options.nonceStore]        store of answered auth challenges' nonces. Kept in memory by default,
+ *                                                        share one between the processes checking the same relying party's challenges
+ * @param   {String[]}        [options.revokedAttestors]  attestors' addresses whose attestations are no longer accepted
+ * @param   {Number}          [options.revocationCacheTtl=60000]  ms attestors' revocation lists are cached for. 0 disables the cache
+ * @param   {String}          [options.revocationKey]     storage key (e.g. IPNS key name) the default attestor publishes its revocation list with
+ * @param   {Object}          [options.revocationSequences]  latest revocation list sequence seen per attestor's address, from getRevocationSequences
+ * @returns {Object}                                      resolved options
+ */
+const resolveOptions = options => {
+    if(!options.provider || (typeof options.provider !== 'string' && typeof options.provider !== 'object'))
+        throw new ValidationError('Api option "provider" must be a provider url or a provider object')
+    if(options.privateKey && !/^(0x)?[0-9a-fA-F]{64}$/.test(options.privateKey))
+        throw new ValidationError('Api option "privateKey" must be a 32 bytes hex string')
+
+    let addresses = options.addresses
+    const network = options.network ? options.network : DEFAULT_NETWORK
+    if(!addresses) {
+        if(!ethAddresses[network])
+            throw new ValidationError(`Unknown network "${network}". Use one of ${Object.keys(ethAddresses).join(', ')} or give the contract addresses`)
+        addresses = ethAddresses[network]
+    }
+    if(!isAddress(addresses.protocol)) throw new ValidationError('Api option "addresses.protocol" must be a contract address')
+    if(!isAddress(addresses.token)) throw new ValidationError('Api option "addresses.token" must be a contract address')
+    if(addresses.escrow !== undefined && addresses.escrow !== null && !isAddress(addresses.escrow)) 
+        throw new ValidationError('Api option "addresses.escrow" must be a contract address')
+
+    const storage = options.storage ? options.storage : null
+    if(storage) {
+        STORAGE_METHODS.forEach(method => {
+            if(typeof storage[method] !== 'function')
+                throw new ValidationError(`Api option "storage" must implement ${STORAGE_METHODS.join(', ')}. Missing ${method}`)
+        })
+        OPTIONAL_STORAGE_METHODS.forEach(method => {
+            if(storage[method] !== undefined && typeof storage[method] !== 'function')
+                throw new ValidationError(`Api option "storage" has a ${method} that isn't a function`)
+        })
+    }
+    const ipfs = options.ipfs ? options.ipfs : ipfsProvider
+    if(!storage && (!ipfs.host || !ipfs.port || !ipfs.protocol))
+        throw new ValidationError('Api option "ipfs" must have host, port and protocol')
+
+    if(options.gas !== undefined && !isPositiveInteger(options.gas))
+        throw new ValidationError('Api option "gas" must be a positive integer')
+    if(options.gasPrice !== undefined && !isPositiveInteger(options.gasPrice))
+        throw new ValidationError('Api option "gasPrice" must be a positive integer amount of wei')
+    if(options.gasMargin !== undefined && !(Number(options.gasMargin) >= 1))
+        throw new ValidationError('Api option "gasMargin" must be a number not lower than 1')
+    const feeStrategy = resolveFeeStrategy(options.feeStrategy, options.gasPrice)
+    if(options.chainId !== undefined && !isPositiveInteger(options.chainId))
+        throw new ValidationError('Api option "chainId" must be a positive integer')
+
+    if(options.domain !== undefined && (!options.domain || typeof options.domain !== 'string'))
+        throw new ValidationError('Api option "domain" must be a domain name')
+    const nonceStore = options.nonceStore ? options.nonceStore : new MemoryNonceStore()
+    NONCE_STORE_METHODS.forEach(method => {
+        if(typeof nonceStore[method] !== 'function')
+            throw new ValidationError(`Api option "nonceStore" must implement ${NONCE_STORE_METHODS.join(', ')}. Missing ${method}`)
+    })
+
+    const revokedAttestors = options.revokedAttestors ? options.revokedAttestors : []
+    if(!Array.isArray(revokedAttestors) || !revokedAttestors.every(isAddress))
+        throw new ValidationError('Api option "revokedAttestors" must be a list of addresses')
+
+    if(options.revocationCacheTtl !== undefined && !(Number.isInteger(Number(options.revocationCacheTtl)) && Number(options.revocationCacheTtl) >= 0))
+        throw new ValidationError('Api option "revocationCacheTtl" must be a non negative integer amount of ms')
+    if(options.revocationKey !== undefined && (!options.revocationKey || typeof options.revocationKey !== 'string'))
+        throw new ValidationError('Api option "revocationKey" must be a key name')
+    if(options.revocationKey && storage && (typeof storage.publishName !== 'function' || typeof storage.resolveName !== 'function'))
+        throw new ValidationError('Api option "revocationKey" needs a storage adapter implementing publishName and resolveName')
+
+    const revocationSequences = options.revocationSequences ? options.revocationSequences : {}
+    if(typeof revocationSequences !== 'object' || !Object.keys(revocationSequences).every(address => 
+        isAddress(address) && Number.isInteger(revocationSequences[address]) && revocationSequences[address] >= 0))
+        throw new ValidationError('Api option "revocationSequences" must map addresses to non negative integers')
+
+    let schema = null
+    if(options.schema) schema = options.schema instanceof ProfileSchema ? options.schema : new ProfileSchema(options.schema)
+
+    return {
+        provider: options.provider,
+        privateKey: options.privateKey ? options.privateKey : null,
+        network: options.addresses ? (options.network ? options.network : null) : network,
+        addresses: { protocol: addresses.protocol, token: addresses.token, escrow: addresses.escrow ? addresses.escrow : null },
+        ipfs,
+        storage,
+        gas: options.gas !== undefined ? Number(options.gas) : null,
+        gasPrice: feeStrategy instanceof FixedFeeStrategy ? feeStrategy.gasPrice : null,
+        gasMargin: options.gasMargin !== undefined ? Number(options.gasMargin) : DEFAULT_GAS_MARGIN,
+        feeStrategy,
+        chainId: options.chainId !== undefined ? Number(options.chainId) : null,
+        schema,
+        domain: options.domain ? options.domain : DEFAULT_AUTH_DOMAIN,
+        nonceStore,
+        revokedAttestors: revokedAttestors.map(address => address.toLowerCase()),
+        revocationCacheTtl: options.revocationCacheTtl !== undefined ? Number(options.revocationCacheTtl) : DEFAULT_REVOCATION_CACHE_TTL,
+        revocationKey: options.revocationKey ? options.revocationKey : null,
+        revocationSequences: Object.keys(revocationSequences).reduce((sequences, address) => 
+            Object.assign(sequences, { [address.toLowerCase()]: revocationSequences[address] }), {})
+    }
+}
+
+/**
+ * Builds the fee strategy an Api option names
+ *
+ * @param   {String|FeeStrategy}  [feeStrategy]   'node', 'fixed', 'eip1559' or a FeeStrategy
+ * @param   {String}              [gasPrice]      gas price in wei the 'fixed' strategy pays
+ * @returns {FeeStrategy}                         fee strategy
+ */
+const resolveFeeStrategy = (feeStrategy, gasPrice) => {
+    if(feeStrategy instanceof FeeStrategy) {
+        if(gasPrice !== undefined) throw new ValidationError('Api option "gasPrice" only applies to the fixed fee strategy')
+        return feeStrategy
+    }
+    const name = feeStrategy !== undefined ? feeStrategy : (gasPrice !== undefined ? 'fixed' : 'node')
+    if(FEE_STRATEGIES.indexOf(name) < 0)
+        throw new ValidationError(`Api option "feeStrategy" must be one of ${FEE_STRATEGIES.join(', ')} or a FeeStrategy`)
+    if(name === 'fixed' && gasPrice === undefined)
+        throw new ValidationError('Api option "gasPrice" is required by the fixed fee strategy')
+    if(name !== 'fixed' && gasPrice !== undefined)
+        throw new ValidationError('Api option "gasPrice" only applies to the fixed fee strategy')
+    if(name === 'fixed') return new FixedFeeStrategy(gasPrice)
+    return name === 'eip1559' ? new Eip1559FeeStrategy() : new NodeFeeStrategy()
+}
+
+export { resolveOptions, isApiOptions, DEFAULT_GAS_MARGIN }
@@ -0,0 +1,69 @@
+pragma solidity ^0.4.18;
+
+contract EscrowToken {
+    function transfer(address to, uint256 value) public returns (bool);
+    function transferFrom(address from, address to, uint256 value) public returns (bool);
+}
+
+/**
+ * Holds a buyer's tokens until the seller reveals the key whose hash they were locked with,
+ * or gives them back to the buyer once the deadline passed
+ */
+contract HashLockEscrow {
+
+    uint8 constant NONE = 0;
+    uint8 constant LOCKED = 1;
+    uint8 constant CLAIMED = 2;
+    uint8 constant REFUNDED = 3;
+
+    struct Escrow {
+        address buyer;
+        address seller;
+        uint256 amount;
+        bytes32 keyHash;
+        uint256 expiresAt;
+        bytes32 key;
+        uint8 state;
+    }
+
+    EscrowToken public token;
+    mapping(bytes32 => Escrow) public escrows;
+
+    event Locked(bytes32 indexed id, address buyer, address seller, uint256 amount, bytes32 keyHash, uint256 expiresAt);
+    event Claimed(bytes32 indexed id, bytes32 key);
+    event Refunded(bytes32 indexed id);
+
+    function HashLockEscrow(EscrowToken _token) public {
+        token = _token;
+    }
+
+    function escrowId(address buyer, bytes32 keyHash) public pure returns (bytes32) {
+        return keccak256(buyer, keyHash);
+    }
+
+    function lock(address seller, uint256 amount, bytes32 keyHash, uint256 expiresAt) public returns (bytes32) {
+        bytes32 id = escrowId(msg.sender, keyHash);
+        require(escrows[id].state == NONE && seller != address(0) && expiresAt > now);
+        escrows[id] = Escrow(msg.sender, seller, amount, keyHash, expiresAt, 0, LOCKED);
+        require(token.transferFrom(msg.sender, this, amount));
+        Locked(id, msg.sender, seller, amount, keyHash, expiresAt);
+        return id;
+    }
+
+    function claim(bytes32 id, bytes32 key) public {
+        Escrow storage escrow = escrows[id];
+        require(escrow.state == LOCKED && now <= escrow.expiresAt && keccak256(key) == escrow.keyHash);
+        escrow.state = CLAIMED;
+        escrow.key = key;
+        require(token.transfer(escrow.seller, escrow.amount));
+        Claimed(id, key);
+    }
+
+    function refund(bytes32 id) public {
+        Escrow storage escrow = escrows[id];
+        require(escrow.state == LOCKED && now > escrow.expiresAt);
+        escrow.state = REFUNDED;
+        require(token.transfer(escrow.buyer, escrow.amount));
+        Refunded(id);
+    }
+}
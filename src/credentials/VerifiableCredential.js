@@ -0,0 +1,168 @@
+import { CanonicalJson } from '../utils/CanonicalJson'
+import { ValidationError } from '../errors'
+
+const CREDENTIALS_CONTEXT = 'https://www.w3.org/2018/credentials/v1'
+
+const PROOF_TYPE = 'EcdsaSecp256k1RecoverySignature2020'
+
+/**
+ * Builds W3C Verifiable Credentials holding profile leafs and the Verifiable Presentations that bundle them.
+ * Documents are signed with eth_sign (EIP-191) over their canonical JSON without the proof
+ *
+ * @class VerifiableCredential
+ */
+class VerifiableCredential {
+
+   /**
+    * Builds an unsigned credential for a profile leaf
+    *
+    * @param   {String}   issuer                       identity's DID. The identity is the subject as well
+    * @param   {Object}   leaf                         disclosed leaf
+    * @param   {String}   leaf.label                   leaf's label
+    * @param   {String}   leaf.path                    leaf's path within the tree
+    * @param   {String}   leaf.data                    leaf's plain data
+    * @param   {String}   leaf.salt                    leaf hash's salt
+    * @param   {Object}   leaf.inclusionProof          inclusion proof within the anchored tree
+    * @param   {String}   [expirationDate=null]        ISO date the credential expires at
+    * @returns {Object}                                unsigned credential
+    */
+    static create(issuer, leaf, expirationDate = null) {
+        let credential = {
+            '@context': [CREDENTIALS_CONTEXT],
+            type: ['VerifiableCredential', 'ProfileLeafCredential'],
+            issuer,
+            issuanceDate: new Date().toISOString(),
+            credentialSubject: {
+                id: issuer,
+                label: leaf.label,
+                path: leaf.path,
+                data: leaf.data,
+                salt: leaf.salt,
+                rootHash: leaf.inclusionProof.rootHash,
+                inclusionProof: leaf.inclusionProof
+            }
+        }
+        if(expirationDate) credential.expirationDate = expirationDate
+        return credential
+    }
+
+   /**
+    * Builds an unsigned presentation
+    *
+    * @param   {String}     holder          identity's DID
+    * @param   {Object[]}   credentials     signed credentials
+    * @returns {Object}                     unsigned presentation
+    */
+    static createPresentation(holder, credentials) {
+        return {
+            '@context': [CREDENTIALS_CONTEXT],
+            type: ['VerifiablePresentation'],
+            holder,
+            verifiableCredential: credentials
+        }
+    }
+
+   /**
+    * Message signed for a credential or a presentation: its canonical JSON without the proof.
+    * Presentations' challenge and domain are part of it
+    *
+    * @param   {Object}   document                   credential or presentation
+    * @param   {Object}   [options=document.proof]   proof's challenge and domain
+    * @returns {String}                              message to sign
+    */
+    static signingMessage(document, options = document.proof) {
+        let unsigned = Object.assign({}, document)
+        delete unsigned.proof
+        if(options && options.challenge) unsigned.challenge = options.challenge
+        if(options && options.domain) unsigned.domain = options.domain
+        return CanonicalJson.stringify(unsigned)
+    }
+
+   /**
+    * Adds the owner's signature to a credential or a presentation
+    *
+    * @param   {Object}   document        unsigned credential or presentation
+    * @param   {String}   signer          signer's address
+    * @param   {String}   signature       eth_sign signature of signingMessage
+    * @param   {Object}   [extra={}]      proof's challenge and domain
+    * @returns {Object}                   signed document
+    */
+    static attachProof(document, signer, signature, extra = {}) {
+        const issuer = document.issuer ? document.issuer : document.holder
+        return Object.assign({}, document, {
+            proof: Object.assign({
+                type: PROOF_TYPE,
+                created: new Date().toISOString(),
+                proofPurpose: document.holder ? 'authentication' : 'assertionMethod',
+                verificationMethod: `${issuer}#owner-${signer.toLowerCase()}`,
+                proofValue: signature
+            }, extra)
+        })
+    }
+
+   /**
+    * Checks a credential's shape
+    *
+    * @param   {Object}   credential    credential
+    */
+    static assertCredential(credential) {
+        if(!credential || !Array.isArray(credential.type) || credential.type.indexOf('VerifiableCredential') < 0)
+            throw new ValidationError('Not a verifiable credential')
+        const subject = credential.credentialSubject
+        if(!subject || !subject.label || subject.data === undefined || !subject.salt || !subject.inclusionProof)
+            throw new ValidationError('Credential subject must hold a profile leaf with its salt and inclusion proof', { issuer: credential.issuer })
+        assertProof(credential)
+    }
+
+   /**
+    * Checks a presentation's shape
+    *
+    * @param   {Object}   presentation    presentation
+    */
+    static assertPresentation(presentation) {
+        if(!presentation || !Array.isArray(presentation.type) || presentation.type.indexOf('VerifiablePresentation') < 0)
+            throw new ValidationError('Not a verifiable presentation')
+        if(!Array.isArray(presentation.verifiableCredential))
+            throw new ValidationError('Presentation must hold a list of credentials', { holder: presentation.holder })
+        assertProof(presentation)
+    }
+
+   /**
+    * Reads the signer's address a proof declares
+    *
+    * @param   {Object}   document    credential or presentation
+    * @returns {String}               signer's address
+    */
+    static declaredSigner(document) {
+        const match = /#owner-(0x[0-9a-fA-F]{40})$/.exec(document.proof.verificationMethod)
+        return match ? match[1] : null
+    }
+
+   /**
+    * Converts a credential into a node checkDataTruth and buyIdentityData accept
+    *
+    * @param   {Object}   credential    credential
+    * @returns {Object}                 { label, data, salt, proof }
+    */
+    static toNode(credential) {
+        const subject = credential.credentialSubject
+        return { label: subject.label, data: subject.data, salt: subject.salt, proof: subject.inclusionProof }
+    }
+
+   /**
+    * Checks whether a document is a presentation
+    *
+    * @param   {Object}    document    document
+    * @returns {Boolean}               it is a presentation
+    */
+    static isPresentation(document) {
+        return !!document && Array.isArray(document.type) && document.type.indexOf('VerifiablePresentation') >= 0
+    }
+}
+
+const assertProof = document => {
+    if(!document.proof || document.proof.type !== PROOF_TYPE || !document.proof.proofValue || !document.proof.verificationMethod)
+        throw new ValidationError(`Document must have a ${PROOF_TYPE} proof`)
+}
+
+export { VerifiableCredential }
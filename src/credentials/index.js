@@ -0,0 +1,3 @@
+import { VerifiableCredential } from './VerifiableCredential'
+
+export { VerifiableCredential }
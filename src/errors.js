@@ -0,0 +1,194 @@
+/**
+ * Base class of the errors thrown by the Api. Babel 6 doesn't support extending built-in classes,
+ * so every error class restores its own prototype after calling super
+ *
+ * @class IdentityError
+ */
+class IdentityError extends Error {
+
+   /**
+    * @param   {String}   message        error message
+    * @param   {Object}   [context={}]   details of the failure, e.g. label, ipfsHash, identity
+    * @param   {Error}    [cause=null]   error that caused this one
+    */
+    constructor(message, context = {}, cause = null) {
+        super(message)
+        Object.setPrototypeOf(this, IdentityError.prototype)
+        this.name = 'IdentityError'
+        this.message = message
+        this.context = context
+        this.cause = cause
+    }
+}
+
+/**
+ * Thrown when the storage backend (IPFS node, memory, local directory) fails or misses a content
+ *
+ * @class StorageError
+ */
+class StorageError extends IdentityError {
+
+   /**
+    * @param   {String}   message        error message
+    * @param   {Object}   [context={}]   { ipfsHash, path }
+    * @param   {Error}    [cause=null]   storage backend's error
+    */
+    constructor(message, context = {}, cause = null) {
+        super(message, context, cause)
+        Object.setPrototypeOf(this, StorageError.prototype)
+        this.name = 'StorageError'
+        this.notFound = !!cause && isNotFound(cause)
+    }
+}
+
+/**
+ * Thrown when an encrypted content cannot be decrypted: wrong key, not a recipient or tampered data
+ *
+ * @class DecryptionError
+ */
+class DecryptionError extends IdentityError {
+    constructor(message, context = {}, cause = null) {
+        super(message, context, cause)
+        Object.setPrototypeOf(this, DecryptionError.prototype)
+        this.name = 'DecryptionError'
+    }
+}
+
+/**
+ * Thrown when a profile tree node addressed by label or path doesn't exist
+ *
+ * @class NodeNotFoundError
+ */
+class NodeNotFoundError extends IdentityError {
+    constructor(message, context = {}, cause = null) {
+        super(message, context, cause)
+        Object.setPrototypeOf(this, NodeNotFoundError.prototype)
+        this.name = 'NodeNotFoundError'
+    }
+}
+
+/**
+ * Thrown when a contract call or transaction fails
+ *
+ * @class ContractRevertError
+ */
+class ContractRevertError extends IdentityError {
+
+   /**
+    * @param   {String}   message        error message
+    * @param   {Object}   [context={}]   { identity, method }
+    * @param   {Error}    [cause=null]   web3's error
+    */
+    constructor(message, context = {}, cause = null) {
+        super(message, context, cause)
+        Object.setPrototypeOf(this, ContractRevertError.prototype)
+        this.name = 'ContractRevertError'
+    }
+}
+
+/**
+ * Thrown when a signature cannot be created or recovered
+ *
+ * @class SignatureError
+ */
+class SignatureError extends IdentityError {
+    constructor(message, context = {}, cause = null) {
+        super(message, context, cause)
+        Object.setPrototypeOf(this, SignatureError.prototype)
+        this.name = 'SignatureError'
+    }
+}
+
+/**
+ * Thrown when an authorization isn't given in time
+ *
+ * @class AuthTimeoutError
+ */
+class AuthTimeoutError extends IdentityError {
+    constructor(message, context = {}, cause = null) {
+        super(message, context, cause)
+        Object.setPrototypeOf(this, AuthTimeoutError.prototype)
+        this.name = 'AuthTimeoutError'
+    }
+}
+
+/**
+ * Thrown when signed credentials don't answer the auth challenge issued by the relying party
+ *
+ * @class ChallengeError
+ */
+class ChallengeError extends IdentityError {
+
+   /**
+    * @param   {String}   message        error message
+    * @param   {String}   reason         failed check: malformed, issuedAt, identity, audience, nonce, mismatch or replayed
+    * @param   {Object}   [context={}]   { identity, nonce }
+    */
+    constructor(message, reason, context = {}) {
+        super(message, context)
+        Object.setPrototypeOf(this, ChallengeError.prototype)
+        this.name = 'ChallengeError'
+        this.reason = reason
+    }
+}
+
+/**
+ * Thrown when arguments, options or profile data are invalid
+ *
+ * @class ValidationError
+ */
+class ValidationError extends IdentityError {
+
+   /**
+    * @param   {String}     message        error message
+    * @param   {Object}     [context={}]   details of the failure
+    * @param   {Object[]}   [errors=[]]    per-node errors { path, label, message }
+    */
+    constructor(message, context = {}, errors = []) {
+        super(message, context)
+        Object.setPrototypeOf(this, ValidationError.prototype)
+        this.name = 'ValidationError'
+        this.errors = errors
+    }
+}
+
+/**
+ * Thrown when the profile anchored on an identity changed after the version an edit was derived from
+ *
+ * @class ProfileConflictError
+ */
+class ProfileConflictError extends IdentityError {
+
+   /**
+    * @param   {String}     identity          identity's contract address
+    * @param   {String}     baseHash          tree's IPFS hash the edit was derived from
+    * @param   {String}     currentHash       tree's IPFS hash currently anchored
+    * @param   {String}     [newHash=null]    tree's IPFS hash that was going to be anchored
+    * @param   {Object[]}   [conflicts=[]]    nodes changed on both sides { path, message }, when a merge was tried
+    */
+    constructor(identity, baseHash, currentHash, newHash = null, conflicts = []) {
+        super(conflicts.length > 0 
+            ? `Profile of ${identity} cannot be merged: ${conflicts.map(conflict => `${conflict.path} ${conflict.message}`).join('; ')}`
+            : `Profile of ${identity} changed from ${baseHash} to ${currentHash}`, 
+            { identity, ipfsHash: currentHash })
+        Object.setPrototypeOf(this, ProfileConflictError.prototype)
+        this.name = 'ProfileConflictError'
+        this.baseHash = baseHash
+        this.currentHash = currentHash
+        this.newHash = newHash
+        this.conflicts = conflicts
+    }
+}
+
+/**
+ * Recognizes the "missing content" errors of the storage backends
+ *
+ * @param   {Error}    err    storage backend's error
+ * @returns {Boolean}         the content or path doesn't exist
+ */
+const isNotFound = err => err.code === 'ENOENT' || /does not exist|not found|no such file/i.test(err.message)
+
+export { 
+    IdentityError, StorageError, DecryptionError, NodeNotFoundError, ContractRevertError, SignatureError, 
+    AuthTimeoutError, ChallengeError, ValidationError, ProfileConflictError 
+}
@@ -0,0 +1,35 @@
+import { FeeStrategy } from './FeeStrategy'
+import { NodeFeeStrategy } from './NodeFeeStrategy'
+
+/**
+ * Pays EIP-1559 fees: a priority fee on top of the latest block's base fee, capped at a multiple of it.
+ * Chains without a base fee get the gas price the node suggests
+ *
+ * @class Eip1559FeeStrategy
+ */
+class Eip1559FeeStrategy extends FeeStrategy {
+
+   /**
+    * @param   {Object}    [params={}]
+    * @param   {String}    [params.maxPriorityFeePerGas='1500000000']   priority fee in wei
+    * @param   {Integer}   [params.baseFeeMultiplier=2]                 base fee increases the max fee absorbs
+    */
+    constructor({ maxPriorityFeePerGas = DEFAULT_PRIORITY_FEE, baseFeeMultiplier = 2 } = {}) {
+        super()
+        this.maxPriorityFeePerGas = String(maxPriorityFeePerGas)
+        this.baseFeeMultiplier = baseFeeMultiplier
+        this.fallback = new NodeFeeStrategy()
+    }
+
+    async getFees(web3) {
+        const block = await web3.eth.getBlock('latest')
+        if(!block || block.baseFeePerGas === undefined || block.baseFeePerGas === null) return this.fallback.getFees(web3)
+        const priorityFee = web3.utils.toBN(this.maxPriorityFeePerGas)
+        const maxFee = web3.utils.toBN(block.baseFeePerGas).muln(this.baseFeeMultiplier).add(priorityFee)
+        return { maxFeePerGas: maxFee.toString(), maxPriorityFeePerGas: priorityFee.toString() }
+    }
+}
+
+const DEFAULT_PRIORITY_FEE = '1500000000'
+
+export { Eip1559FeeStrategy }
@@ -0,0 +1,18 @@
+/**
+ * Picks the fees of a transaction whose gas price wasn't given
+ *
+ * @class FeeStrategy
+ */
+class FeeStrategy {
+
+   /**
+    * Gets the fees to pay per gas unit
+    *
+    * @param   {Object}                  web3     web3 instance
+    * @returns {Promise<Object,Error>}            A promise that resolves with { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas } in wei
+    *                                             or rejects with an error
+    */
+    getFees(web3) { return Promise.reject(new Error('Fee strategy must implement getFees')) }
+}
+
+export { FeeStrategy }
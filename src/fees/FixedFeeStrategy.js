@@ -0,0 +1,23 @@
+import { FeeStrategy } from './FeeStrategy'
+
+/**
+ * Pays the same gas price for every transaction
+ *
+ * @class FixedFeeStrategy
+ */
+class FixedFeeStrategy extends FeeStrategy {
+
+   /**
+    * @param   {String}   gasPrice    gas price in wei
+    */
+    constructor(gasPrice) {
+        super()
+        this.gasPrice = String(gasPrice)
+    }
+
+    async getFees(web3) {
+        return { gasPrice: this.gasPrice }
+    }
+}
+
+export { FixedFeeStrategy }
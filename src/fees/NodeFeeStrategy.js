@@ -0,0 +1,15 @@
+import { FeeStrategy } from './FeeStrategy'
+
+/**
+ * Pays the gas price the node suggests
+ *
+ * @class NodeFeeStrategy
+ */
+class NodeFeeStrategy extends FeeStrategy {
+
+    async getFees(web3) {
+        return { gasPrice: String(await web3.eth.getGasPrice()) }
+    }
+}
+
+export { NodeFeeStrategy }
@@ -0,0 +1,6 @@
+import { FeeStrategy } from './FeeStrategy'
+import { NodeFeeStrategy } from './NodeFeeStrategy'
+import { FixedFeeStrategy } from './FixedFeeStrategy'
+import { Eip1559FeeStrategy } from './Eip1559FeeStrategy'
+
+export { FeeStrategy, NodeFeeStrategy, FixedFeeStrategy, Eip1559FeeStrategy }
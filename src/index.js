@@ -1,2 +1,24 @@
 import Api from './api'
-export { Api }
\ No newline at end of file
+import { AuthSession } from './AuthSession'
+import { AbiDecoder } from './AbiDecoder'
+import { StorageAdapter, IpfsStorage, MemoryStorage, FileSystemStorage } from './storage'
+import { Signer, PrivateKeySigner, KeystoreSigner, ProviderSigner } from './signers'
+import { FeeStrategy, NodeFeeStrategy, FixedFeeStrategy, Eip1559FeeStrategy } from './fees'
+import { NonceStore, MemoryNonceStore } from './nonces'
+import { ProfileSchema, financialIdentitySchema } from './schema'
+import { VerifiableCredential } from './credentials'
+import { Attestation, RevocationList } from './attestations'
+import { SaleOffer } from './sales'
+import { Listing, PurchaseRequest } from './marketplace'
+import { 
+    IdentityError, StorageError, DecryptionError, NodeNotFoundError, ContractRevertError, SignatureError, 
+    AuthTimeoutError, ChallengeError, ValidationError, ProfileConflictError 
+} from './errors'
+export { 
+    Api, AuthSession, AbiDecoder, StorageAdapter, IpfsStorage, MemoryStorage, FileSystemStorage, ProfileSchema, financialIdentitySchema,
+    Signer, PrivateKeySigner, KeystoreSigner, ProviderSigner,
+    FeeStrategy, NodeFeeStrategy, FixedFeeStrategy, Eip1559FeeStrategy, NonceStore, MemoryNonceStore,
+    VerifiableCredential, Attestation, RevocationList, SaleOffer, Listing, PurchaseRequest,
+    IdentityError, StorageError, DecryptionError, NodeNotFoundError, ContractRevertError, SignatureError, 
+    AuthTimeoutError, ChallengeError, ValidationError, ProfileConflictError
+}
\ No newline at end of file
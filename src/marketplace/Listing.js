@@ -0,0 +1,111 @@
+import { CanonicalJson } from '../utils/CanonicalJson'
+import { ValidationError } from '../errors'
+
+const LISTING_TYPE = 'SwapyDataListing'
+
+/**
+ * Marketplace listing of an identity's leafs. Each label has its own price in Swapy Tokens,
+ * buyers pick the labels they want and the sale goes through an escrowed sale offer
+ *
+ * @class Listing
+ */
+class Listing {
+
+   /**
+    * Builds an unsigned listing
+    *
+    * @param   {Object}     params
+    * @param   {String}     params.identity             seller's identity contract address
+    * @param   {Object[]}   params.items                listed leafs { label, price }
+    * @param   {String}     [params.terms=null]         sale terms, e.g. allowed uses of the data
+    * @param   {String}     [params.expiresAt=null]     ISO date the listing expires at
+    * @returns {Object}                                 unsigned listing
+    */
+    static create({ identity, items, terms = null, expiresAt = null }) {
+        if(!Array.isArray(items) || items.length === 0) throw new ValidationError('A listing needs at least one label', { identity })
+        items.forEach(item => {
+            if(!item.label) throw new ValidationError('Listed items must have a label', { identity })
+            if(!(Number.isInteger(Number(item.price)) && Number(item.price) >= 0))
+                throw new ValidationError(`Price of ${item.label} must be a non negative integer`, { identity, label: item.label })
+        })
+        return {
+            type: LISTING_TYPE,
+            identity: identity.toLowerCase(),
+            items: items.map(item => ({ label: item.label, price: Number(item.price) })),
+            terms,
+            issuedAt: new Date().toISOString(),
+            expiresAt
+        }
+    }
+
+   /**
+    * Sums the prices of some of the listed labels
+    *
+    * @param   {Object}     listing             listing
+    * @param   {String[]}   [labels=null]       labels bought. Every listed label when null
+    * @returns {Integer}                        price in Swapy Tokens
+    */
+    static price(listing, labels = null) {
+        return (labels ? labels : listing.items.map(item => item.label)).reduce((total, label) => {
+            const item = listing.items.find(current => current.label === label)
+            if(!item) throw new ValidationError(`${label} is not listed`, { identity: listing.identity, label })
+            return total + item.price
+        }, 0)
+    }
+
+   /**
+    * Checks whether a listing matches a search
+    *
+    * @param   {Object}     listing                         listing
+    * @param   {Object}     [filter={}]
+    * @param   {String}     [filter.identity]               seller's identity contract address
+    * @param   {String[]}   [filter.labels]                 labels the listing must hold
+    * @param   {Integer}    [filter.maxPrice]               highest price for the filter's labels, or every listed label
+    * @param   {Boolean}    [filter.includeExpired=false]   matches expired listings
+    * @param   {Integer}    [now=Date.now()]                current time in ms
+    * @returns {Boolean}                                    the listing matches
+    */
+    static matches(listing, { identity = null, labels = null, maxPrice = null, includeExpired = false } = {}, now = Date.now()) {
+        if(!includeExpired && this.isExpired(listing, now)) return false
+        if(identity && listing.identity !== identity.toLowerCase()) return false
+        if(labels && !labels.every(label => listing.items.some(item => item.label === label))) return false
+        if(maxPrice !== null && maxPrice !== undefined && this.price(listing, labels) > Number(maxPrice)) return false
+        return true
+    }
+
+   /**
+    * Message the seller signs with eth_sign: the listing's canonical JSON without the signature
+    *
+    * @param   {Object}   listing    listing
+    * @returns {String}              message to sign
+    */
+    static signingMessage(listing) {
+        let unsigned = Object.assign({}, listing)
+        delete unsigned.signature
+        delete unsigned.id
+        return CanonicalJson.stringify(unsigned)
+    }
+
+   /**
+    * Checks a listing's shape
+    *
+    * @param   {Object}   listing    listing
+    */
+    static assertListing(listing) {
+        if(!listing || listing.type !== LISTING_TYPE || !listing.identity || !Array.isArray(listing.items) || !listing.signature)
+            throw new ValidationError(`Not a signed ${LISTING_TYPE}`)
+    }
+
+   /**
+    * Checks whether a listing expired
+    *
+    * @param   {Object}    listing             listing
+    * @param   {Integer}   [now=Date.now()]    current time in ms
+    * @returns {Boolean}                       the listing expired
+    */
+    static isExpired(listing, now = Date.now()) {
+        return !!listing.expiresAt && now > Date.parse(listing.expiresAt)
+    }
+}
+
+export { Listing }
@@ -0,0 +1,64 @@
+import { CanonicalJson } from '../utils/CanonicalJson'
+import { ValidationError } from '../errors'
+
+const REQUEST_TYPE = 'SwapyPurchaseRequest'
+
+/**
+ * Buyer's request for a sale offer on some of a listing's labels, signed by an owner of the buyer's identity.
+ * The seller answers it with a sale offer for the request's public key and records the offer's hash in offerHash
+ *
+ * @class PurchaseRequest
+ */
+class PurchaseRequest {
+
+   /**
+    * Builds an unsigned request
+    *
+    * @param   {Object}     params
+    * @param   {String}     params.listingId          listing's IPFS hash
+    * @param   {String}     params.buyer              buyer's identity contract address
+    * @param   {String}     params.buyerPublicKey     buyer's ecc public key the data is sold for
+    * @param   {String[]}   params.labels             labels bought
+    * @param   {Integer}    params.price              listed price of the labels
+    * @returns {Object}                               unsigned request
+    */
+    static create({ listingId, buyer, buyerPublicKey, labels, price }) {
+        if(!buyer || !buyerPublicKey) throw new ValidationError('A buyer identity and public key are required to request a purchase')
+        if(!Array.isArray(labels) || labels.length === 0) throw new ValidationError('A purchase request needs at least one label', { identity: buyer })
+        return {
+            type: REQUEST_TYPE,
+            listingId,
+            buyer: buyer.toLowerCase(),
+            buyerPublicKey,
+            labels,
+            price,
+            requestedAt: new Date().toISOString()
+        }
+    }
+
+   /**
+    * Message the buyer signs with eth_sign: the request's canonical JSON without the signature and the seller's answer
+    *
+    * @param   {Object}   request    purchase request
+    * @returns {String}              message to sign
+    */
+    static signingMessage(request) {
+        let unsigned = Object.assign({}, request)
+        delete unsigned.signature
+        delete unsigned.offerHash
+        return CanonicalJson.stringify(unsigned)
+    }
+
+   /**
+    * Checks a request's shape
+    *
+    * @param   {Object}   request    purchase request
+    */
+    static assertRequest(request) {
+        if(!request || request.type !== REQUEST_TYPE || !request.listingId || !request.buyer || !request.buyerPublicKey 
+            || !Array.isArray(request.labels) || !request.signature)
+            throw new ValidationError(`Not a signed ${REQUEST_TYPE}`)
+    }
+}
+
+export { PurchaseRequest }
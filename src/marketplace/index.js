@@ -0,0 +1,4 @@
+import { Listing } from './Listing'
+import { PurchaseRequest } from './PurchaseRequest'
+
+export { Listing, PurchaseRequest }
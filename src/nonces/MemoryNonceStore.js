@@ -0,0 +1,34 @@
+import { NonceStore } from './NonceStore'
+
+/**
+ * Keeps answered nonces in memory until their challenge expires. They are lost on restart and
+ * not seen by other processes, which could accept an answer again until the challenge expires
+ *
+ * @class MemoryNonceStore
+ */
+class MemoryNonceStore extends NonceStore {
+
+    constructor() {
+        super()
+        this.nonces = new Map()
+    }
+
+    async has(nonce) {
+        this.prune()
+        return this.nonces.has(nonce)
+    }
+
+    async use(nonce, expiresAt) {
+        this.prune()
+        if(this.nonces.has(nonce)) return false
+        this.nonces.set(nonce, expiresAt)
+        return true
+    }
+
+    prune() {
+        const now = Date.now()
+        this.nonces.forEach((expiresAt, nonce) => { if(expiresAt < now) this.nonces.delete(nonce) })
+    }
+}
+
+export { MemoryNonceStore }
@@ -0,0 +1,28 @@
+/**
+ * Remembers the auth challenges' nonces that were answered, so an answer cannot be accepted twice.
+ * Apis checking challenges issued by the same relying party on several processes or hosts must share one store
+ *
+ * @class NonceStore
+ */
+class NonceStore {
+
+   /**
+    * Checks whether a nonce was answered already
+    *
+    * @param   {String}                   nonce       challenge's nonce
+    * @returns {Promise<Boolean,Error>}               A promise that resolves with true when the nonce was used or rejects with an error
+    */
+    has(nonce) { return Promise.reject(new Error('Nonce store must implement has')) }
+
+   /**
+    * Marks a nonce as answered. Stores shared between processes should check and mark atomically
+    *
+    * @param   {String}                   nonce       challenge's nonce
+    * @param   {Number}                   expiresAt   ms timestamp the challenge expires at. The nonce may be forgotten afterwards
+    * @returns {Promise<Boolean,Error>}               A promise that resolves with false when the nonce was used already, true otherwise,
+    *                                                 or rejects with an error
+    */
+    use(nonce, expiresAt) { return Promise.reject(new Error('Nonce store must implement use')) }
+}
+
+export { NonceStore }
@@ -0,0 +1,4 @@
+import { NonceStore } from './NonceStore'
+import { MemoryNonceStore } from './MemoryNonceStore'
+
+export { NonceStore, MemoryNonceStore }
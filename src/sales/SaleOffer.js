@@ -0,0 +1,137 @@
+import { CanonicalJson } from '../utils/CanonicalJson'
+import { Crypto } from '../utils/Crypto'
+import { ValidationError } from '../errors'
+
+const OFFER_TYPE = 'SwapyDataOffer'
+
+/**
+ * Hash-locked sale of profile leafs. The offer discloses the leafs' hashes with their inclusion proofs and
+ * their data encrypted for the buyer under keys derived from a sale key and each leaf's hash. The seller commits
+ * to the sale key by its keccak256 hash, the buyer locks the price in a HashLockEscrow contract under that hash,
+ * and the seller is paid only by revealing the key to the contract before the deadline.
+ * The leafs' data can be checked against their hashes only once the key is revealed, but the seller's signature 
+ * covers every leaf hash with its envelope
+ *
+ * @class SaleOffer
+ */
+class SaleOffer {
+
+   /**
+    * Builds an unsigned offer
+    *
+    * @param   {Object}     params
+    * @param   {String}     params.identity           seller's identity contract address
+    * @param   {String}     params.buyer              buyer's identity contract address
+    * @param   {String}     params.buyerPublicKey     buyer's ecc public key the envelopes are encrypted for
+    * @param   {Integer}    params.price              price in Swapy Tokens
+    * @param   {String}     params.rootHash           anchored tree's root hash the leafs are proven against
+    * @param   {Object[]}   params.nodes              sold leafs { label, leafHash, proof, envelope }
+    * @param   {String}     params.keyHash            sale key's hash
+    * @param   {Object}     params.sellerKey          sale key encrypted for the seller
+    * @param   {String}     params.escrow             HashLockEscrow contract's address the price is locked in
+    * @param   {Integer}    [params.ttl=86400000]     ms the seller has to reveal the sale key
+    * @returns {Object}                               unsigned offer
+    */
+    static create({ identity, buyer, buyerPublicKey, price, rootHash, nodes, keyHash, sellerKey, escrow, ttl = DEFAULT_TTL }) {
+        if(!buyer || !buyerPublicKey) throw new ValidationError('A buyer identity and public key are required to make an offer', { identity })
+        if(!(Number.isInteger(Number(price)) && Number(price) >= 0)) throw new ValidationError('Offer price must be a non negative integer', { identity })
+        if(!escrow) throw new ValidationError('An escrow contract is required to make an offer', { identity })
+        const issuedAt = Date.now()
+        return {
+            type: OFFER_TYPE,
+            identity: identity.toLowerCase(),
+            buyer: buyer.toLowerCase(),
+            buyerPublicKey,
+            price: Number(price),
+            rootHash,
+            nodes,
+            keyHash,
+            sellerKey,
+            escrow: escrow.toLowerCase(),
+            issuedAt: new Date(issuedAt).toISOString(),
+            expiresAt: new Date(issuedAt + ttl).toISOString()
+        }
+    }
+
+   /**
+    * Generates a sale key
+    *
+    * @returns {String}   hex sale key
+    */
+    static createKey() {
+        return Crypto.randomBytes(32).toString('hex')
+    }
+
+   /**
+    * Hash an offer commits to its sale key with: the keccak256 hash the escrow contract checks the revealed key against
+    *
+    * @param   {String}   saleKey    hex sale key
+    * @returns {String}              0x prefixed key's hash
+    */
+    static keyHash(saleKey) {
+        return `0x${Crypto.keccak256(Buffer.from(saleKey, 'hex'))}`
+    }
+
+   /**
+    * Id of the escrow a buyer locks an offer's price in, as the escrow contract's escrowId computes it
+    *
+    * @param   {String}   buyer      buyer identity's contract address
+    * @param   {String}   keyHash    offer's key hash
+    * @returns {String}              0x prefixed escrow id
+    */
+    static escrowId(buyer, keyHash) {
+        return `0x${Crypto.keccak256(Buffer.concat([Buffer.from(strip0x(buyer), 'hex'), Buffer.from(strip0x(keyHash), 'hex')]))}`
+    }
+
+   /**
+    * Key material a leaf's envelope is encrypted with, so an envelope only opens as the leaf it was made for
+    *
+    * @param   {String}   saleKey    hex sale key
+    * @param   {String}   leafHash   leaf's hash
+    * @returns {String}              key material
+    */
+    static leafKey(saleKey, leafHash) {
+        return `${saleKey}${leafHash}`
+    }
+
+   /**
+    * Message the seller signs with eth_sign: the offer's canonical JSON without the signature
+    *
+    * @param   {Object}   offer    offer
+    * @returns {String}            message to sign
+    */
+    static signingMessage(offer) {
+        let unsigned = Object.assign({}, offer)
+        delete unsigned.signature
+        return CanonicalJson.stringify(unsigned)
+    }
+
+   /**
+    * Checks an offer's shape
+    *
+    * @param   {Object}   offer    offer
+    */
+    static assertOffer(offer) {
+        if(!offer || offer.type !== OFFER_TYPE || !offer.identity || !offer.buyer || !offer.keyHash || !offer.escrow || !offer.signature)
+            throw new ValidationError(`Not a signed ${OFFER_TYPE}`)
+        if(!Array.isArray(offer.nodes) || !offer.nodes.every(node => node.label && node.leafHash && node.proof && node.envelope))
+            throw new ValidationError('Offer must hold the leafs\' hashes, proofs and encrypted data', { identity: offer.identity })
+    }
+
+   /**
+    * Checks whether the seller's time to reveal the sale key is over
+    *
+    * @param   {Object}    offer               offer
+    * @param   {Integer}   [now=Date.now()]    current time in ms
+    * @returns {Boolean}                       the offer expired
+    */
+    static isExpired(offer, now = Date.now()) {
+        return now > Date.parse(offer.expiresAt)
+    }
+}
+
+const DEFAULT_TTL = 86400000
+
+const strip0x = hex => hex.replace(/^0x/, '')
+
+export { SaleOffer }
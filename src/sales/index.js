@@ -0,0 +1,3 @@
+import { SaleOffer } from './SaleOffer'
+
+export { SaleOffer }
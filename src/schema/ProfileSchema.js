@@ -0,0 +1,232 @@
+import { IdentityDag } from '../IdentityDag'
+import { ValidationError } from '../errors'
+
+/**
+ * Leaf types. Profile data is stored as strings, so each type is checked against its text form
+ */
+const LEAF_TYPES = {
+    string: (data, definition) => typeof data === 'string' 
+        && (!definition.pattern || new RegExp(definition.pattern).test(data))
+        && (!definition.maxLength || data.length <= definition.maxLength),
+    number: data => /^-?\d+(\.\d+)?$/.test(String(data)),
+    integer: data => /^-?\d+$/.test(String(data)),
+    boolean: data => data === true || data === false || data === 'true' || data === 'false',
+    date: data => /^\d{4}-\d{2}-\d{2}$/.test(data) && !isNaN(Date.parse(data)) 
+        && new Date(data).toISOString().slice(0, 10) === data,
+    email: data => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data),
+    currency: data => /^\d+(\.\d{1,2})?( [A-Z]{3})?$/.test(String(data)),
+    enum: (data, definition) => definition.values.indexOf(data) >= 0
+}
+
+const TYPE_DESCRIPTIONS = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    date: 'a date formatted as YYYY-MM-DD',
+    email: 'an email address',
+    currency: 'an amount with up to two decimals, optionally followed by an ISO 4217 code (e.g. "1500.00 USD")',
+    enum: 'one of the allowed values'
+}
+
+const WILDCARD = '*'
+
+/**
+ * Describes the sections and leafs a profile tree may hold. A definition is a tree of nodes keyed by label,
+ * where sections have "childrens" and leafs have a "type". The "*" key matches any label, for repeated 
+ * sub-structures such as bank accounts
+ *
+ * @example
+ * new ProfileSchema({
+ *     name: 'contact-card',
+ *     additionalNodes: false,
+ *     childrens: {
+ *         contact: { required: true, childrens: {
+ *             email: { type: 'email', required: true },
+ *             kind: { type: 'enum', values: ['personal', 'business'] }
+ *         }}
+ *     }
+ * })
+ *
+ * @class ProfileSchema
+ */
+class ProfileSchema {
+
+   /**
+    * Checks and keeps a schema definition
+    *
+    * @param   {Object}    definition                   schema definition
+    * @param   {String}    definition.name              schema's name
+    * @param   {Boolean}   [definition.additionalNodes] accept labels not described. Sections may override it
+    * @param   {Object}    definition.childrens         root's childrens definitions
+    */
+    constructor(definition) {
+        if(!definition || typeof definition.name !== 'string') throw new ValidationError('Profile schema must have a name')
+        checkDefinition(definition, 'root')
+        this.name = definition.name
+        this.definition = definition
+    }
+
+   /**
+    * Validates insertions against the schema, simulating them on a copy of the tree
+    *
+    * @param   {Object}     tree                         tree's root node
+    * @param   {Object[]}   insertions                   tree insertions
+    * @param   {Object}     [opt={}]                     validation options
+    * @param   {Boolean}    [opt.requireSections=false]  check the root's required sections
+    * @returns {Object[]}                                errors { path, label, message }. Empty when valid
+    */
+    validateInsertions(tree, insertions, opt = {}) {
+        let errors = []
+        const shadow = copyShape(tree)
+        insertions.forEach(insertion => {
+            let parentPath
+            try {
+                parentPath = IdentityDag.pathOf(shadow, insertion.parentLabel)
+            }catch(err){
+                errors.push({ path: insertion.parentLabel, label: insertion.label, message: err.message })
+                return
+            }
+            this.checkInsertion(shadow, parentPath, insertion, errors)
+        })
+        if(opt.requireSections) checkRequired(shadow, this.definition, 'root', errors)
+        return errors
+    }
+
+   /**
+    * Validates a leaf's new data
+    *
+    * @param   {Object}     tree     tree's root node
+    * @param   {String}     search   leaf's label or path
+    * @param   {String}     data     new data
+    * @returns {Object[]}            errors { path, label, message }. Empty when valid
+    */
+    validateUpdate(tree, search, data) {
+        let errors = []
+        let path
+        try {
+            path = IdentityDag.pathOf(tree, search)
+        }catch(err){
+            return [{ path: search, label: search, message: err.message }]
+        }
+        const definition = this.definitionAt(path)
+        const label = path.split('/').pop()
+        if(!definition) {
+            if(!this.allowsAdditional(path)) errors.push({ path, label, message: 'Node is not described by the schema' })
+        }else if(definition.childrens) {
+            errors.push({ path, label, message: 'Node is a section and cannot hold data' })
+        }else {
+            checkData(definition, path, label, data, errors)
+        }
+        return errors
+    }
+
+   /**
+    * Finds the definition of a path
+    *
+    * @param   {String}   path    node's path
+    * @returns {Object}           node's definition or null if it is not described
+    */
+    definitionAt(path) {
+        const labels = path.split('/').slice(1)
+        let definition = this.definition
+        for(let i = 0; i < labels.length; i++) {
+            const childrens = definition.childrens
+            if(!childrens) return null
+            definition = childrens[labels[i]] ? childrens[labels[i]] : childrens[WILDCARD]
+            if(!definition) return null
+        }
+        return definition
+    }
+
+   /**
+    * Checks whether undescribed nodes are accepted under a path's parent
+    *
+    * @param   {String}   path    node's path
+    * @returns {Boolean}          undescribed nodes are accepted
+    */
+    allowsAdditional(path) {
+        const labels = path.split('/').slice(1, -1)
+        let definition = this.definition
+        let additional = !!this.definition.additionalNodes
+        for(let i = 0; i < labels.length; i++) {
+            const childrens = definition.childrens
+            definition = childrens ? (childrens[labels[i]] ? childrens[labels[i]] : childrens[WILDCARD]) : null
+            if(!definition) return additional
+            if(definition.additionalNodes !== undefined) additional = !!definition.additionalNodes
+        }
+        return additional
+    }
+
+   /**
+    * Validates an insertion and its childrens, inserting them on the tree copy
+    *
+    * @param   {Object}     shadow       tree copy
+    * @param   {String}     parentPath   insertion's parent path
+    * @param   {Object}     insertion    tree insertion
+    * @param   {Object[]}   errors       errors found so far
+    */
+    checkInsertion(shadow, parentPath, insertion, errors) {
+        const label = insertion.label
+        const path = `${parentPath}/${label}`
+        try {
+            IdentityDag.insertNode(shadow, parentPath, label, null, null)
+        }catch(err){
+            errors.push({ path, label, message: err.message })
+            return
+        }
+        const hasChildrens = !!(insertion.childrens && insertion.childrens.length > 0)
+        const definition = this.definitionAt(path)
+        if(!definition) {
+            if(!this.allowsAdditional(path)) errors.push({ path, label, message: 'Node is not described by the schema' })
+            else if(hasChildrens) insertion.childrens.forEach(child => this.checkInsertion(shadow, path, child, errors))
+            return
+        }
+        if(definition.childrens) {
+            if(insertion.data) errors.push({ path, label, message: 'Node is a section and cannot hold data' })
+            if(hasChildrens) insertion.childrens.forEach(child => this.checkInsertion(shadow, path, child, errors))
+            checkRequired(IdentityDag.getNode(shadow, path), definition, path, errors)
+        }else {
+            if(hasChildrens) errors.push({ path, label, message: 'Node is a leaf and cannot have childrens' })
+            else checkData(definition, path, label, insertion.data, errors)
+        }
+    }
+}
+
+const checkDefinition = (definition, path) => {
+    if(definition.type) {
+        if(!LEAF_TYPES[definition.type]) throw new ValidationError(`Schema node ${path} has an unknown type ${definition.type}`, { path })
+        if(definition.type === 'enum' && !(definition.values && definition.values.length > 0))
+            throw new ValidationError(`Schema node ${path} must list its enum values`, { path })
+        if(definition.childrens) throw new ValidationError(`Schema node ${path} cannot have both a type and childrens`, { path })
+        return
+    }
+    if(!definition.childrens || typeof definition.childrens !== 'object') 
+        throw new ValidationError(`Schema node ${path} must have either a type or childrens`, { path })
+    Object.keys(definition.childrens).forEach(label => checkDefinition(definition.childrens[label], `${path}/${label}`))
+}
+
+const checkData = (definition, path, label, data, errors) => {
+    if(data === undefined || data === null || data === '') {
+        if(definition.required) errors.push({ path, label, message: 'Node requires data' })
+        return
+    }
+    if(!LEAF_TYPES[definition.type](data, definition))
+        errors.push({ path, label, message: `Data must be ${TYPE_DESCRIPTIONS[definition.type]}` })
+}
+
+const checkRequired = (node, definition, path, errors) => {
+    const labels = node.childrens ? node.childrens.map(child => child.label) : []
+    Object.keys(definition.childrens).forEach(label => {
+        if(label !== WILDCARD && definition.childrens[label].required && labels.indexOf(label) < 0)
+            errors.push({ path: `${path}/${label}`, label, message: 'Required node is missing' })
+    })
+}
+
+const copyShape = node => {
+    let copy = { label: node.label }
+    if(node.childrens) copy.childrens = node.childrens.map(copyShape)
+    return copy
+}
+
+export { ProfileSchema }
@@ -0,0 +1,57 @@
+/**
+ * Default schema of a Swapy financial identity profile
+ */
+const financialIdentitySchema = {
+    name: 'financial-identity',
+    version: 1,
+    additionalNodes: false,
+    childrens: {
+        personal: {
+            required: true,
+            childrens: {
+                name: { type: 'string', required: true, maxLength: 200 },
+                birthDate: { type: 'date' },
+                nationality: { type: 'string', pattern: '^[A-Z]{2}$' },
+                documentType: { type: 'enum', values: ['passport', 'nationalId', 'driverLicense', 'taxId'] },
+                documentNumber: { type: 'string', maxLength: 64 }
+            }
+        },
+        contact: {
+            childrens: {
+                email: { type: 'email' },
+                phone: { type: 'string', pattern: '^\\+?[0-9 ()-]{6,20}$' },
+                address: {
+                    childrens: {
+                        street: { type: 'string', required: true },
+                        city: { type: 'string', required: true },
+                        state: { type: 'string' },
+                        postalCode: { type: 'string' },
+                        country: { type: 'string', pattern: '^[A-Z]{2}$', required: true }
+                    }
+                }
+            }
+        },
+        financial: {
+            childrens: {
+                income: { type: 'currency' },
+                employmentStatus: { type: 'enum', values: ['employed', 'selfEmployed', 'unemployed', 'student', 'retired'] },
+                employer: { type: 'string' },
+                creditScore: { type: 'integer' },
+                bankAccounts: {
+                    childrens: {
+                        '*': {
+                            childrens: {
+                                bank: { type: 'string', required: true },
+                                branch: { type: 'string' },
+                                account: { type: 'string', required: true },
+                                currency: { type: 'string', pattern: '^[A-Z]{3}$' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+export { financialIdentitySchema }
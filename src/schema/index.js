@@ -0,0 +1,4 @@
+import { ProfileSchema } from './ProfileSchema'
+import { financialIdentitySchema } from './financialIdentity'
+
+export { ProfileSchema, financialIdentitySchema }
@@ -0,0 +1,52 @@
+import { Signer } from './Signer'
+import { PrivateKeySigner } from './PrivateKeySigner'
+import { DecryptionError } from '../errors'
+
+/**
+ * Signs with an encrypted keystore (Web3 Secret Storage V3 JSON). The key is decrypted when it is first used
+ *
+ * @class KeystoreSigner
+ */
+class KeystoreSigner extends Signer {
+
+   /**
+    * @param   {Object}          web3        web3 instance
+    * @param   {Object|String}   keystore    V3 keystore or its JSON
+    * @param   {String}          password    keystore's password
+    */
+    constructor(web3, keystore, password) {
+        super()
+        this.web3 = web3
+        this.keystore = typeof keystore === 'string' ? JSON.parse(keystore) : keystore
+        this.password = password
+        this.signer = null
+    }
+
+    async getAddress() {
+        if(this.keystore.address) return this.web3.utils.toChecksumAddress(`0x${this.keystore.address.replace(/^0x/, '')}`)
+        return (await this.unlock()).getAddress()
+    }
+
+    async signMessage(message) {
+        return (await this.unlock()).signMessage(message)
+    }
+
+    async signTransaction(transaction) {
+        return (await this.unlock()).signTransaction(transaction)
+    }
+
+    async unlock() {
+        if(this.signer) return this.signer
+        let account
+        try {
+            account = this.web3.eth.accounts.decrypt(this.keystore, this.password)
+        }catch(err){
+            throw new DecryptionError('Unable to decrypt the keystore with the password given', {}, err)
+        }
+        this.signer = new PrivateKeySigner(this.web3, account.privateKey)
+        this.password = null
+        return this.signer
+    }
+}
+
+export { KeystoreSigner }
@@ -0,0 +1,47 @@
+import { Signer } from './Signer'
+
+/**
+ * Signs with a raw private key held in memory
+ *
+ * @class PrivateKeySigner
+ */
+class PrivateKeySigner extends Signer {
+
+   /**
+    * @param   {Object}   web3          web3 instance
+    * @param   {String}   privateKey    account's private key
+    */
+    constructor(web3, privateKey) {
+        super()
+        this.account = web3.eth.accounts.privateKeyToAccount(privateKey)
+    }
+
+    async getAddress() {
+        return this.account.address
+    }
+
+    async signMessage(message) {
+        return this.account.sign(message).signature
+    }
+
+    async signTransaction(transaction) {
+        const signed = await this.account.signTransaction(withChain(transaction))
+        return { rawTransaction: signed.rawTransaction, transactionHash: signed.transactionHash }
+    }
+}
+
+/**
+ * Gives a transaction with a chain id the chain and hardfork web3 needs to sign it without asking the network:
+ * London for EIP-1559 fees, so it is sent as a type 2 transaction, and Petersburg for a gas price, so it stays a legacy one
+ *
+ * @param   {Object}   transaction    unsigned transaction
+ * @returns {Object}                  transaction with its signing options
+ */
+const withChain = transaction => {
+    if(transaction.common || transaction.chain || transaction.chainId === undefined || transaction.chainId === null) return transaction
+    const chainId = Number(transaction.chainId)
+    const hardfork = transaction.maxFeePerGas !== undefined ? 'london' : 'petersburg'
+    return Object.assign({}, transaction, { common: { customChain: { chainId, networkId: chainId }, hardfork } })
+}
+
+export { PrivateKeySigner }
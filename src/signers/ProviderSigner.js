@@ -0,0 +1,44 @@
+import { Signer } from './Signer'
+import { SignatureError } from '../errors'
+
+/**
+ * Signs with an account managed by the provider, e.g. a browser wallet or the node.
+ * Transactions are sent through the provider, which signs them
+ *
+ * @class ProviderSigner
+ */
+class ProviderSigner extends Signer {
+
+   /**
+    * @param   {Object}   web3              web3 instance
+    * @param   {String}   [address=null]    account's address. Defaults to the provider's first account
+    */
+    constructor(web3, address = null) {
+        super()
+        this.web3 = web3
+        this.address = address
+    }
+
+    async getAddress() {
+        if(this.address) return this.address
+        let accounts
+        try {
+            accounts = await this.web3.eth.getAccounts()
+        }catch(err){
+            throw new SignatureError(`Unable to get the provider's accounts: ${err.message}`, {}, err)
+        }
+        if(accounts.length === 0) throw new SignatureError('Provider has no accounts')
+        return accounts[0]
+    }
+
+    async signMessage(message) {
+        return this.web3.eth.personal.sign(message, await this.getAddress())
+    }
+
+    async signTransaction(transaction) {
+        const signed = await this.web3.eth.signTransaction(Object.assign({ from: await this.getAddress() }, transaction))
+        return { rawTransaction: signed.raw, transactionHash: signed.tx.hash }
+    }
+}
+
+export { ProviderSigner }
@@ -0,0 +1,34 @@
+import { SignatureError } from '../errors'
+
+/**
+ * Account that signs messages and transactions. Extend it to plug in a hardware wallet
+ *
+ * @class Signer
+ */
+class Signer {
+
+   /**
+    * Gets the signing account's address
+    *
+    * @returns {Promise<String,Error>}            A promise that resolves with the address or rejects with an error
+    */
+    getAddress() { return Promise.reject(new SignatureError('Signer must implement getAddress')) }
+
+   /**
+    * Signs a message prefixed as in EIP-191, as eth_sign does
+    *
+    * @param   {String}                  message  message to sign
+    * @returns {Promise<String,Error>}            A promise that resolves with the signature or rejects with an error
+    */
+    signMessage(message) { return Promise.reject(new SignatureError('Signer must implement signMessage')) }
+
+   /**
+    * Signs a transaction
+    *
+    * @param   {Object}                  transaction  unsigned transaction { to, data, value, nonce, gas, gasPrice, chainId }
+    * @returns {Promise<Object,Error>}                A promise that resolves with { rawTransaction, transactionHash } or rejects with an error
+    */
+    signTransaction(transaction) { return Promise.reject(new SignatureError('Signer must implement signTransaction')) }
+}
+
+export { Signer }
@@ -0,0 +1,6 @@
+import { Signer } from './Signer'
+import { PrivateKeySigner } from './PrivateKeySigner'
+import { KeystoreSigner } from './KeystoreSigner'
+import { ProviderSigner } from './ProviderSigner'
+
+export { Signer, PrivateKeySigner, KeystoreSigner, ProviderSigner }
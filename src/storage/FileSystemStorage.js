@@ -0,0 +1,119 @@
+import * as fs from 'fs'
+import * as nodePath from 'path'
+import { StorageAdapter } from './StorageAdapter'
+import { MultiHash } from '../utils/MultiHash'
+
+/**
+ * Content-addressed storage adapter persisted on a local directory. Objects are
+ * stored by their IPFS multihash under "objects/", mutable files under "files/" and names under "names/".
+ * Only available on Node.js.
+ *
+ * @class FileSystemStorage
+ */
+class FileSystemStorage extends StorageAdapter {
+
+   /**
+    * Sets the storage root directory
+    *
+    * @param   {String}         directory  root directory. Created when missing
+    */
+    constructor(directory) {
+        super()
+        this.objectsDir = nodePath.join(directory, 'objects')
+        this.filesDir = nodePath.join(directory, 'files')
+        this.namesDir = nodePath.join(directory, 'names')
+    }
+
+    async add(buffer) {
+        const hash = await MultiHash.getMultiHash(buffer)
+        await mkdirp(this.objectsDir)
+        await writeFile(nodePath.join(this.objectsDir, hash), buffer)
+        return hash
+    }
+
+    get(hash) {
+        return readFile(nodePath.join(this.objectsDir, nodePath.basename(hash)))
+    }
+
+    async mkdir(path) {
+        await mkdirp(this.resolve(path))
+        return true
+    }
+
+    async write(path, buffer) {
+        await writeFile(this.resolve(path), buffer)
+        return true
+    }
+
+    read(path) {
+        return readFile(this.resolve(path))
+    }
+
+    rm(path) {
+        return new Promise((resolve, reject) => {
+            fs.rm(this.resolve(path), { recursive: true }, (err) => {
+                if(err) reject(err)
+                else resolve(true)
+            })
+        })
+    }
+
+    ls(path) {
+        return new Promise((resolve, reject) => {
+            fs.readdir(this.resolve(path), (err, names) => {
+                if(err) reject(err)
+                else resolve(names)
+            })
+        })
+    }
+
+    async publishName(hash, key) {
+        await mkdirp(this.namesDir)
+        await writeFile(nodePath.join(this.namesDir, nodePath.basename(key)), Buffer.from(hash))
+        return nodePath.basename(key)
+    }
+
+    async resolveName(name) {
+        const hash = await readFile(nodePath.join(this.namesDir, nodePath.basename(name)))
+        return hash.toString()
+    }
+
+   /**
+    * Maps a mutable path into the storage directory, never escaping it
+    *
+    * @param   {String}         path   mutable path
+    * @returns {String}                local file system path
+    */
+    resolve(path) {
+        return nodePath.join(this.filesDir, nodePath.normalize(`/${path}`))
+    }
+}
+
+const mkdirp = dir => {
+    return new Promise((resolve, reject) => {
+        fs.mkdir(dir, { recursive: true }, (err) => {
+            if(err) reject(err)
+            else resolve(true)
+        })
+    })
+}
+
+const writeFile = (file, buffer) => {
+    return new Promise((resolve, reject) => {
+        fs.writeFile(file, buffer, (err) => {
+            if(err) reject(err)
+            else resolve(true)
+        })
+    })
+}
+
+const readFile = file => {
+    return new Promise((resolve, reject) => {
+        fs.readFile(file, (err, buffer) => {
+            if(err) reject(err)
+            else resolve(buffer)
+        })
+    })
+}
+
+export { FileSystemStorage }
@@ -0,0 +1,106 @@
+import { default as ipfsAPI } from 'ipfs-api'
+import { StorageAdapter } from './StorageAdapter'
+
+/**
+ * Storage adapter backed by an IPFS node's http api
+ *
+ * @class IpfsStorage
+ */
+class IpfsStorage extends StorageAdapter {
+
+   /**
+    * Sets the IPFS's node provider
+    *
+    * @param   {String}         host      ipfs node host
+    * @param   {String}         port      ipfs node port
+    * @param   {String}         protocol  host protocol http/https
+    */
+    constructor(host, port, protocol) {
+        super()
+        this.ipfs = ipfsAPI(host, port, { protocol })
+    }
+
+    add(buffer) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.files.add(buffer, (err, cid) => {
+                if(err) reject(err)
+                else resolve(cid[0].path)
+            })
+        })
+    }
+
+    get(hash) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.files.get(`/ipfs/${hash}`, (err, data) => {
+                if(err) reject(err)
+                else resolve(data[0].content)
+            })
+        })
+    }
+
+    mkdir(path) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.files.mkdir(path, {parents: true}, (err) => {
+                if(err) reject(err)
+                else resolve(true)
+            })
+        })
+    }
+
+    write(path, buffer) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.files.write(path, buffer, {create: true, truncate: true}, (err) => {
+                if(err) reject(err)
+                else resolve(true)
+            })
+        })
+    }
+
+    read(path) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.files.read(path, (err, buf) => {
+                if(err) reject(err)
+                else resolve(buf)
+            })
+        })
+    }
+
+    rm(path) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.files.rm(path, {recursive: true}, (err) => {
+                if(err) reject(err)
+                else resolve(true)
+            })
+        })
+    }
+
+    ls(path) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.files.ls(path, (err, files) => {
+                if(err) reject(err)
+                else resolve(files.map(file => file.name))
+            })
+        })
+    }
+
+    publishName(hash, key) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.name.publish(`/ipfs/${hash}`, { key }, (err, res) => {
+                if(err) reject(err)
+                else resolve(res.name ? res.name : res.Name)
+            })
+        })
+    }
+
+    resolveName(name) {
+        return new Promise((resolve, reject) => {
+            this.ipfs.name.resolve(name, (err, res) => {
+                if(err) return reject(err)
+                const path = typeof res === 'string' ? res : (res.path ? res.path : res.Path)
+                resolve(path.replace(/^\/ipfs\//, ''))
+            })
+        })
+    }
+}
+
+export { IpfsStorage }
@@ -0,0 +1,93 @@
+import { StorageAdapter } from './StorageAdapter'
+import { MultiHash } from '../utils/MultiHash'
+
+/**
+ * Content-addressed storage adapter kept in memory. Objects get the same
+ * multihash IPFS would give them, so trees built here can later be pinned on a real node.
+ *
+ * @class MemoryStorage
+ */
+class MemoryStorage extends StorageAdapter {
+
+    constructor() {
+        super()
+        this.objects = {}
+        this.files = {}
+        this.directories = { '/': true }
+        this.names = {}
+    }
+
+    async add(buffer) {
+        const hash = await MultiHash.getMultiHash(buffer)
+        this.objects[hash] = Buffer.from(buffer)
+        return hash
+    }
+
+    async get(hash) {
+        if(!this.objects[hash]) throw new Error(`Object ${hash} not found`)
+        return this.objects[hash]
+    }
+
+    async mkdir(path) {
+        const segments = splitPath(path)
+        for(let i = 1; i <= segments.length; i++) {
+            const dir = joinPath(segments.slice(0, i))
+            if(this.files[dir]) throw new Error(`${dir} is a file`)
+            this.directories[dir] = true
+        }
+        return true
+    }
+
+    async write(path, buffer) {
+        const segments = splitPath(path)
+        const parent = joinPath(segments.slice(0, -1))
+        if(!this.directories[parent]) throw new Error(`Directory ${parent} does not exist`)
+        this.files[joinPath(segments)] = Buffer.from(buffer)
+        return true
+    }
+
+    async read(path) {
+        const file = this.files[joinPath(splitPath(path))]
+        if(!file) throw new Error(`File ${path} does not exist`)
+        return file
+    }
+
+    async rm(path) {
+        const target = joinPath(splitPath(path))
+        if(!this.files[target] && !this.directories[target]) throw new Error(`${path} does not exist`)
+        const removeUnder = index => {
+            Object.keys(index).forEach(key => {
+                if(key === target || key.indexOf(`${target}/`) === 0) delete index[key]
+            })
+        }
+        removeUnder(this.files)
+        removeUnder(this.directories)
+        this.directories['/'] = true
+        return true
+    }
+
+    async ls(path) {
+        const target = joinPath(splitPath(path))
+        if(!this.directories[target]) throw new Error(`Directory ${path} does not exist`)
+        const prefix = target === '/' ? '/' : `${target}/`
+        return Object.keys(this.files).concat(Object.keys(this.directories))
+            .filter(key => key.indexOf(prefix) === 0 && key.length > prefix.length && key.slice(prefix.length).indexOf('/') < 0)
+            .map(key => key.slice(prefix.length))
+    }
+
+    async publishName(hash, key) {
+        this.names[key] = hash
+        return key
+    }
+
+    async resolveName(name) {
+        if(!this.names[name]) throw new Error(`Name ${name} not found`)
+        return this.names[name]
+    }
+}
+
+const splitPath = path => path.split('/').filter(segment => segment && segment !== '.')
+
+const joinPath = segments => `/${segments.join('/')}`
+
+export { MemoryStorage }
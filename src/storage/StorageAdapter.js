@@ -0,0 +1,78 @@
+class StorageAdapter {
+
+   /**
+    * Persists a buffer as a content-addressed object
+    *
+    * @param   {Buffer}                  buffer   content to be persisted
+    * @returns {Promise<String,Error>}            A promise that resolves with the content's multihash or rejects with an error
+    */
+    add(buffer) { return Promise.reject(new Error('Storage adapter must implement add')) }
+
+   /**
+    * Retrieves a content-addressed object
+    *
+    * @param   {String}                  hash     content's multihash
+    * @returns {Promise<Buffer,Error>}            A promise that resolves with the content or rejects with an error
+    */
+    get(hash) { return Promise.reject(new Error('Storage adapter must implement get')) }
+
+   /**
+    * Creates a mutable directory
+    *
+    * @param   {String}                  path     directory path
+    * @returns {Promise<Boolean,Error>}           A promise that resolves when the directory exists or rejects with an error
+    */
+    mkdir(path) { return Promise.reject(new Error('Storage adapter must implement mkdir')) }
+
+   /**
+    * Writes a mutable file, creating it if necessary
+    *
+    * @param   {String}                  path     file path
+    * @param   {Buffer}                  buffer   file content
+    * @returns {Promise<Boolean,Error>}           A promise that resolves when the file is written or rejects with an error
+    */
+    write(path, buffer) { return Promise.reject(new Error('Storage adapter must implement write')) }
+
+   /**
+    * Reads a mutable file
+    *
+    * @param   {String}                  path     file path
+    * @returns {Promise<Buffer,Error>}            A promise that resolves with the file content or rejects with an error
+    */
+    read(path) { return Promise.reject(new Error('Storage adapter must implement read')) }
+
+   /**
+    * Removes a mutable file or directory recursively
+    *
+    * @param   {String}                  path     file or directory path
+    * @returns {Promise<Boolean,Error>}           A promise that resolves when the path is removed or rejects with an error
+    */
+    rm(path) { return Promise.reject(new Error('Storage adapter must implement rm')) }
+
+   /**
+    * Lists a mutable directory. Optional, the marketplace's index needs it
+    *
+    * @param   {String}                  path     directory path
+    * @returns {Promise<String[],Error>}          A promise that resolves with the names of its files and directories or rejects with an error
+    */
+    ls(path) { return Promise.reject(new Error('Storage adapter does not support listing directories')) }
+
+   /**
+    * Points a name only the key's holder can update (e.g. IPNS) to an object. Optional
+    *
+    * @param   {String}                  hash     content's multihash
+    * @param   {String}                  key      name of the key the name is published with
+    * @returns {Promise<String,Error>}            A promise that resolves with the published name or rejects with an error
+    */
+    publishName(hash, key) { return Promise.reject(new Error('Storage adapter does not support names')) }
+
+   /**
+    * Resolves a published name. Optional
+    *
+    * @param   {String}                  name     name returned by publishName
+    * @returns {Promise<String,Error>}            A promise that resolves with the content's multihash or rejects with an error
+    */
+    resolveName(name) { return Promise.reject(new Error('Storage adapter does not support names')) }
+}
+
+export { StorageAdapter }
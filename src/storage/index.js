@@ -0,0 +1,6 @@
+import { StorageAdapter } from './StorageAdapter'
+import { IpfsStorage } from './IpfsStorage'
+import { MemoryStorage } from './MemoryStorage'
+import { FileSystemStorage } from './FileSystemStorage'
+
+export { StorageAdapter, IpfsStorage, MemoryStorage, FileSystemStorage }
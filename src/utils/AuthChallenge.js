@@ -0,0 +1,93 @@
+import { Crypto } from './Crypto'
+import { AuthTimeoutError, ChallengeError, ValidationError } from '../errors'
+
+class AuthChallenge {
+
+   /**
+    *  Creates a challenge for the identity owner to sign
+    *
+    *  @param    {Object}           params
+    *  @param    {String}           params.domain             relying party's domain, e.g. login.example.com
+    *  @param    {String}           params.publicKey          ecc auth public key (the auth seed)
+    *  @param    {String}           [params.identity=null]    identity's contract address asked for the authorization
+    *  @param    {String[]}         [params.labels=[]]        requested nodes' labels
+    *  @param    {Integer}          [params.ttl=300000]       validity in ms
+    *  @param    {Integer|String}   [params.threshold=1]      owner signatures a multi sig identity needs, or 'required' to use its own requirement
+    *  @return   {Object}                                     challenge { domain, identity, publicKey, nonce, issuedAt, expiresAt, labels, threshold }
+    */
+    static create({ domain, publicKey, identity = null, labels = [], ttl = DEFAULT_TTL, threshold = 1 }) {
+        if(!domain || typeof domain !== 'string') throw new ValidationError('A relying party domain is required to create an auth challenge')
+        if(!publicKey) throw new ValidationError('An auth public key is required to create an auth challenge')
+        if(threshold !== 'required' && !(Number.isInteger(threshold) && threshold > 0))
+            throw new ValidationError('Auth challenge threshold must be a positive integer or "required"')
+        const issuedAt = Date.now()
+        return {
+            domain,
+            identity,
+            publicKey,
+            nonce: Crypto.randomBytes(16).toString('hex'),
+            issuedAt: new Date(issuedAt).toISOString(),
+            expiresAt: new Date(issuedAt + ttl).toISOString(),
+            labels,
+            threshold
+        }
+    }
+
+   /**
+    *  Builds the text signed by the identity owner. Signing it with eth_sign prefixes it as in EIP-191
+    *
+    *  @param    {Object}   challenge   auth challenge
+    *  @return   {String}               message to sign
+    */
+    static message(challenge) {
+        return [
+            `${challenge.domain} asks to authorize${challenge.identity ? ` the identity ${challenge.identity}` : ''}`,
+            `Auth key: ${challenge.publicKey}`,
+            `Labels: ${challenge.labels.join(', ')}`,
+            `Owner signatures: ${challenge.threshold === 'required' ? 'as many as the identity requires' : (challenge.threshold ? challenge.threshold : 1)}`,
+            `Nonce: ${challenge.nonce}`,
+            `Issued at: ${challenge.issuedAt}`,
+            `Expires at: ${challenge.expiresAt}`
+        ].join('\n')
+    }
+
+   /**
+    *  Checks a challenge can still be signed or accepted
+    *
+    *  @param    {Object}    challenge           auth challenge
+    *  @param    {String}    [identity=null]     identity's contract address that signs or is authorized
+    *  @param    {Integer}   [now=Date.now()]    current time in ms
+    */
+    static assertValid(challenge, identity = null, now = Date.now()) {
+        if(!challenge || typeof challenge !== 'object' || !Array.isArray(challenge.labels))
+            throw new ChallengeError('Credentials are not bound to an auth challenge', 'malformed')
+        const context = { identity, nonce: challenge.nonce }
+        if(now > Date.parse(challenge.expiresAt)) throw new AuthTimeoutError(`Auth challenge expired at ${challenge.expiresAt}`, context)
+        if(Date.parse(challenge.issuedAt) > now + CLOCK_SKEW) throw new ChallengeError(`Auth challenge was issued in the future at ${challenge.issuedAt}`, 'issuedAt', context)
+        if(identity && challenge.identity && challenge.identity.toLowerCase() !== identity.toLowerCase())
+            throw new ChallengeError(`Auth challenge was issued for ${challenge.identity}`, 'identity', context)
+    }
+
+   /**
+    *  Checks the challenge signed by the identity owner is the one issued by the relying party
+    *
+    *  @param    {Object}    expected            challenge issued by the relying party
+    *  @param    {Object}    signed              challenge found along with the credentials
+    *  @param    {String}    [identity=null]     identity's contract address being authorized
+    *  @param    {Integer}   [now=Date.now()]    current time in ms
+    */
+    static assertMatches(expected, signed, identity = null, now = Date.now()) {
+        this.assertValid(signed, identity, now)
+        const context = { identity, nonce: expected.nonce }
+        if(signed.domain !== expected.domain)
+            throw new ChallengeError(`Credentials were signed for ${signed.domain} instead of ${expected.domain}`, 'audience', context)
+        if(signed.nonce !== expected.nonce) throw new ChallengeError('Credentials were signed for another nonce', 'nonce', context)
+        if(this.message(signed) !== this.message(expected)) throw new ChallengeError('Credentials were signed for another challenge', 'mismatch', context)
+    }
+}
+
+const DEFAULT_TTL = 300000
+
+const CLOCK_SKEW = 60000
+
+export { AuthChallenge }
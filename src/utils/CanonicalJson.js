@@ -0,0 +1,18 @@
+class CanonicalJson {
+
+    /**
+     *  Serializes JSON with its object keys sorted, so a signed message doesn't depend on key order
+     *
+     *  @param    {*}        value    JSON value
+     *  @return   {String}            canonical JSON
+     */
+    static stringify(value) {
+        if(Array.isArray(value)) return `[${value.map(item => this.stringify(item)).join(',')}]`
+        if(value && typeof value === 'object')
+            return `{${Object.keys(value).filter(key => value[key] !== undefined).sort()
+                .map(key => `${JSON.stringify(key)}:${this.stringify(value[key])}`).join(',')}}`
+        return JSON.stringify(value)
+    }
+}
+
+export { CanonicalJson }
@@ -1,6 +1,7 @@
 import EthCrypto from 'eth-crypto'
-import { sha3_256 } from 'js-sha3'
+import { sha3_256, keccak256 } from 'js-sha3'
 import * as crypto from 'crypto-browserify'
+import { DecryptionError, ValidationError } from '../errors'
 
 class Crypto {
     
@@ -10,33 +11,238 @@ class Crypto {
     }
 
     static async decryptEcc(key, encrypted) {
-        const content = await EthCrypto.decryptWithPrivateKey(key, encrypted)
-        return content
+        try {
+            const content = await EthCrypto.decryptWithPrivateKey(key, encrypted)
+            return content
+        }catch(err){
+            throw new DecryptionError('Unable to decrypt with the private key given', {}, err)
+        }
     }
 
     static createPublicPrivatePair(){
         return EthCrypto.createIdentity()
     }
 
+    static publicKeyByPrivateKey(privateKey) {
+        return EthCrypto.publicKeyByPrivateKey(privateKey)
+    }
+
+   /**
+    *  Encrypts a content with a fresh content key and wraps that key for each recipient
+    *
+    *  @param    {String}     content      utf8 content
+    *  @param    {String[]}   publicKeys   recipients' ecc public keys. The first one is the owner and is required
+    *  @return   {Object}                  sealed data { envelope, recipients: { publicKey: wrappedKey } }. Public keys are normalized
+    */
+    static async sealData(content, publicKeys) {
+        const contentKey = crypto.randomBytes(32).toString('hex')
+        const envelope = await this.encrypt(contentKey, content)
+        const recipients = await wrapContentKey(contentKey, publicKeys)
+        return { envelope, recipients }
+    }
+
+   /**
+    *  Decrypts a sealed data with one of its recipients' private key. 
+    *  Data encrypted directly with a symmetric key (envelope or legacy format) was keyed with the owner's public key,
+    *  so it is decrypted with the public key derived from the private key. A key that isn't a private key is used as is
+    *
+    *  @param    {String}          privateKey   recipient's ecc private key or the legacy symmetric key
+    *  @param    {Object|String}   sealed       sealed data
+    *  @return   {String}                       utf8 content
+    */
+    static async openData(privateKey, sealed) {
+        if(!isSealed(sealed)) return this.decrypt(unsealedKey(privateKey), sealed)
+        const contentKey = await unwrapContentKey(privateKey, sealed)
+        return this.decrypt(contentKey, sealed.envelope)
+    }
+
+   /**
+    *  Wraps the content key of a sealed data for a new recipient
+    *
+    *  @param    {String}   privateKey           a current recipient's ecc private key
+    *  @param    {Object}   sealed               sealed data
+    *  @param    {String}   recipientPublicKey   new recipient's ecc public key
+    *  @return   {Object}                        sealed data including the new recipient
+    */
+    static async grantRecipient(privateKey, sealed, recipientPublicKey) {
+        if(!isSealed(sealed)) throw new ValidationError('Data is not sealed for recipients')
+        const contentKey = await unwrapContentKey(privateKey, sealed)
+        let recipients = {}
+        Object.keys(sealed.recipients).forEach(publicKey => { recipients[this.normalizePublicKey(publicKey)] = sealed.recipients[publicKey] })
+        const wrapped = await wrapContentKey(contentKey, [recipientPublicKey])
+        return { envelope: sealed.envelope, recipients: Object.assign(recipients, wrapped) }
+    }
+
+   /**
+    *  Removes a recipient from a sealed data. The content is sealed again under a new content key,
+    *  so a key previously unwrapped by the revoked recipient no longer opens it
+    *
+    *  @param    {String}   privateKey           a remaining recipient's ecc private key
+    *  @param    {Object}   sealed               sealed data
+    *  @param    {String}   recipientPublicKey   revoked recipient's ecc public key
+    *  @return   {Object}                        sealed data without the recipient
+    */
+    static async revokeRecipient(privateKey, sealed, recipientPublicKey) {
+        if(!isSealed(sealed)) throw new ValidationError('Data is not sealed for recipients')
+        const revoked = this.normalizePublicKey(recipientPublicKey)
+        if(this.normalizePublicKey(this.publicKeyByPrivateKey(privateKey)) === revoked) throw new ValidationError('A recipient cannot revoke itself')
+        const content = await this.openData(privateKey, sealed)
+        const remaining = Object.keys(sealed.recipients).filter(publicKey => this.normalizePublicKey(publicKey) !== revoked)
+        return this.sealData(content, remaining)
+    }
+
+   /**
+    *  Lists the recipients of a sealed data
+    *
+    *  @param    {Object}     sealed   sealed data
+    *  @return   {String[]}            recipients' ecc public keys
+    */
+    static getRecipients(sealed) {
+        return isSealed(sealed) ? Object.keys(sealed.recipients) : []
+    }
+
+   /**
+    *  Normalizes an uncompressed ecc public key to the 64 bytes hex form, without 0x and the 04 prefix
+    *
+    *  @param    {String}   publicKey   ecc public key
+    *  @return   {String}               normalized public key
+    */
+    static normalizePublicKey(publicKey) {
+        let key = String(publicKey).toLowerCase().replace(/^0x/, '')
+        if(key.length === 130 && key.indexOf('04') === 0) key = key.slice(2)
+        return key
+    }
+
+   /**
+    *  Encrypts a content into a versioned envelope (AES-256-GCM with a HKDF-SHA256 derived key).
+    *  Envelope's header is authenticated along with the ciphertext
+    *
+    *  @param    {String}   key       key material
+    *  @param    {String}   content   utf8 content
+    *  @return   {Object}             envelope { v, alg, kdf, salt, iv, tag, ciphertext }
+    */
     static async encrypt(key, content) {
-        const suite = 'aes-128-ctr'
-        const cipher = crypto.createCipher(suite,key)
+        const salt = crypto.randomBytes(16)
+        const iv = crypto.randomBytes(12)
+        const cipher = crypto.createCipheriv(ENVELOPE_ALGORITHM, deriveKey(key, salt), iv)
+        cipher.setAAD(Buffer.from(envelopeHeader(ENVELOPE_VERSION, ENVELOPE_ALGORITHM, ENVELOPE_KDF)))
         let crypted = cipher.update(content,'utf8','hex')
-        crypted += cipher.final('hex');
-        return crypted
+        crypted += cipher.final('hex')
+        return {
+            v: ENVELOPE_VERSION,
+            alg: ENVELOPE_ALGORITHM,
+            kdf: ENVELOPE_KDF,
+            salt: salt.toString('hex'),
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: crypted
+        }
     }
 
+   /**
+    *  Decrypts an envelope created by encrypt. Legacy hex strings (aes-128-ctr without iv) are still accepted
+    *
+    *  @param    {String}          key        key material
+    *  @param    {Object|String}   encrypted  envelope or legacy ciphertext
+    *  @return   {String}                     utf8 content
+    */
     static async decrypt(key, encrypted) {
+        if(typeof encrypted === 'string') return decryptLegacy(key, encrypted)
+        if(!encrypted || encrypted.v !== ENVELOPE_VERSION || encrypted.alg !== ENVELOPE_ALGORITHM || encrypted.kdf !== ENVELOPE_KDF)
+            throw new DecryptionError('Unsupported encryption envelope')
+        const decipher = crypto.createDecipheriv(
+            ENVELOPE_ALGORITHM, deriveKey(key, Buffer.from(encrypted.salt, 'hex')), Buffer.from(encrypted.iv, 'hex'))
+        decipher.setAAD(Buffer.from(envelopeHeader(encrypted.v, encrypted.alg, encrypted.kdf)))
+        decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'))
+        try {
+            let dec = decipher.update(encrypted.ciphertext,'hex','utf8')
+            dec += decipher.final('utf8')
+            return dec
+        }catch(err){
+            throw new DecryptionError('Ciphertext authentication failed: wrong key or tampered data', {}, err)
+        }
+    }
+
+    /**
+     *  HKDF-SHA256 (RFC 5869)
+     *
+     *  @param    {String|Buffer}  ikm      input key material
+     *  @param    {Buffer}         salt     salt
+     *  @param    {String}         info     context info
+     *  @param    {Integer}        length   output length in bytes
+     *  @return   {Buffer}                  derived key
+     */
+    static hkdf(ikm, salt, info, length) {
+        const prk = crypto.createHmac('sha256', salt).update(ikm).digest()
+        let okm = Buffer.alloc(0)
+        let block = Buffer.alloc(0)
+        for(let i = 1; okm.length < length; i++) {
+            block = crypto.createHmac('sha256', prk).update(Buffer.concat([block, Buffer.from(info), Buffer.from([i])])).digest()
+            okm = Buffer.concat([okm, block])
+        }
+        return okm.slice(0, length)
+    }
+
+    static randomBytes(size) { return crypto.randomBytes(size) }
+
+    static sha3_256(content) { return sha3_256(content) }
+
+    static keccak256(content) { return keccak256(content) }
+}
+
+const ENVELOPE_VERSION = 2
+const ENVELOPE_ALGORITHM = 'aes-256-gcm'
+const ENVELOPE_KDF = 'hkdf-sha256'
+
+const envelopeHeader = (version, algorithm, kdf) => `swapy-envelope:${version}:${algorithm}:${kdf}`
+
+const deriveKey = (key, salt) => Crypto.hkdf(String(key), salt, 'swapy-identity-data', 32)
+
+const unsealedKey = privateKey => {
+    try {
+        return Crypto.publicKeyByPrivateKey(privateKey)
+    }catch(err){
+        return privateKey
+    }
+}
+
+const isSealed = data => !!data && typeof data === 'object' && !!data.recipients && !!data.envelope
+
+const wrapContentKey = async (contentKey, publicKeys) => {
+    if(!publicKeys.length || !publicKeys[0]) throw new ValidationError('An owner public key is required to seal data')
+    let recipients = {}
+    for(let i = 0; i < publicKeys.length; i++) {
+        if(!publicKeys[i]) throw new ValidationError('Recipients\' public keys must not be empty')
+        const publicKey = Crypto.normalizePublicKey(publicKeys[i])
+        recipients[publicKey] = await Crypto.encryptEcc(publicKey, contentKey)
+    }
+    return recipients
+}
+
+const unwrapContentKey = async (privateKey, sealed) => {
+    let publicKey
+    try {
+        publicKey = Crypto.publicKeyByPrivateKey(privateKey)
+    }catch(err){
+        throw new DecryptionError('Invalid private key', {}, err)
+    }
+    const normalized = Crypto.normalizePublicKey(publicKey)
+    const recipient = Object.keys(sealed.recipients).find(key => Crypto.normalizePublicKey(key) === normalized)
+    const wrapped = recipient ? sealed.recipients[recipient] : null
+    if(!wrapped) throw new DecryptionError('Private key is not a recipient of this data')
+    return Crypto.decryptEcc(privateKey, wrapped)
+}
+
+const decryptLegacy = (key, encrypted) => {
+    try {
         const suite = 'aes-128-ctr'
         const decipher = crypto.createDecipher(suite,key)
         let dec = decipher.update(encrypted,'hex','utf8')
         dec += decipher.final('utf8');
         return dec
+    }catch(err){
+        throw new DecryptionError('Unable to decrypt the legacy ciphertext', {}, err)
     }
-
-    static randomBytes(size) { return crypto.randomBytes(size) }
-
-    static sha3_256(content) { return sha3_256(content) }
 }
 
 export { Crypto }
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { ValidationError } from '../errors'
+
+class Did {
+
+   /**
+    *  Builds an identity's DID: did:swapy:<network>:<address>
+    *
+    *  @param    {String}   network    network name or chain id
+    *  @param    {String}   address    identity's contract address
+    *  @return   {String}              identity's DID
+    */
+    static format(network, address) {
+        if(!network) throw new ValidationError('A network name or chain id is required to build a DID')
+        if(!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new ValidationError(`${address} is not an identity address`)
+        return `did:${DID_METHOD}:${network}:${address.toLowerCase()}`
+    }
+
+   /**
+    *  Splits an identity's DID
+    *
+    *  @param    {String}   did    identity's DID
+    *  @return   {Object}          { method, network, address }
+    */
+    static parse(did) {
+        const match = typeof did === 'string' ? /^did:([a-z0-9]+):([a-zA-Z0-9-]+):(0x[0-9a-fA-F]{40})$/.exec(did.split('#')[0]) : null
+        if(!match || match[1] !== DID_METHOD) throw new ValidationError(`${did} is not a did:${DID_METHOD} identifier`)
+        return { method: match[1], network: match[2], address: match[3] }
+    }
+
+   /**
+    *  Builds an identity's DID document. Owners are its controllers and verification methods,
+    *  and the profile tree is exposed as a service
+    *
+    *  @param    {String}     did                     identity's DID
+    *  @param    {Object}     identity                identity's on chain state
+    *  @param    {String[]}   identity.owners         active owners' addresses
+    *  @param    {Integer}    identity.chainId        chain id owners' accounts belong to
+    *  @param    {String}     [identity.profileHash]  profile tree's IPFS hash
+    *  @return   {Object}                             DID document
+    */
+    static buildDocument(did, { owners, chainId, profileHash = null }) {
+        const verificationMethod = owners.map(owner => ({
+            id: `${did}#owner-${owner.toLowerCase()}`,
+            type: 'EcdsaSecp256k1RecoveryMethod2020',
+            controller: did,
+            blockchainAccountId: `eip155:${chainId}:${owner}`
+        }))
+        const methods = verificationMethod.map(method => method.id)
+        let document = {
+            '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/suites/secp256k1recovery-2020/v2'],
+            id: did,
+            controller: owners.map(owner => `did:pkh:eip155:${chainId}:${owner}`),
+            verificationMethod,
+            authentication: methods,
+            assertionMethod: methods
+        }
+        if(profileHash) document.service = [{ id: `${did}#profile`, type: 'SwapyProfile', serviceEndpoint: `ipfs://${profileHash}` }]
+        return document
+    }
+}
+
+const DID_METHOD = 'swapy'
+
+export { Did }
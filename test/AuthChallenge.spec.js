@@ -0,0 +1,19 @@
+import assert from 'assert'
+import { AuthChallenge } from '../src/utils/AuthChallenge'
+import { ChallengeError } from '../src/errors'
+
+describe('AuthChallenge', () => {
+
+    const issue = threshold => AuthChallenge.create({ domain: 'login.example.com', publicKey: 'seed', labels: ['email'], threshold })
+
+    it('shows the owner signatures it needs in the signed text', () => {
+        assert.ok(AuthChallenge.message(issue(2)).indexOf('Owner signatures: 2') >= 0)
+        assert.ok(AuthChallenge.message(issue('required')).indexOf('Owner signatures: as many as the identity requires') >= 0)
+    })
+
+    it('rejects a challenge signed with another threshold', () => {
+        const expected = issue(2)
+        const signed = Object.assign({}, expected, { threshold: 1 })
+        assert.throws(() => AuthChallenge.assertMatches(expected, signed), err => err instanceof ChallengeError && err.reason === 'mismatch')
+    })
+})
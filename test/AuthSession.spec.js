@@ -0,0 +1,45 @@
+import assert from 'assert'
+import { AuthSession } from '../src/AuthSession'
+import { ContractRevertError, StorageError, ValidationError } from '../src/errors'
+
+const challenge = { publicKey: 'seed', nonce: 'nonce' }
+
+const fakeApi = answers => ({
+    calls: 0,
+    async checkAuthorized() {
+        const answer = answers[Math.min(this.calls++, answers.length - 1)]
+        if(answer instanceof Error) throw answer
+        return answer
+    }
+})
+
+const startSession = api => new AuthSession(api, '0x0000000000000000000000000000000000000001', challenge, [], 'key',
+    { initialDelay: 1, factor: 1, maxDelay: 1 })
+
+describe('AuthSession', () => {
+
+    it('checks again while the credentials are not signed or the storage fails', async () => {
+        const api = fakeApi([
+            { authorized: false, signers: [] },
+            new StorageError('storage is down'),
+            { authorized: true, signer: '0x1', signers: ['0x1'], data: {} }
+        ])
+        const result = await startSession(api).wait({ timeout: 1000 })
+        assert.equal(result.authorized, true)
+        assert.equal(api.calls, 3)
+    })
+
+    it('rejects on errors a retry cannot fix', async () => {
+        const errors = [new ValidationError('threshold exceeds the owners'), new ContractRevertError('owner() reverted'), new TypeError('bug')]
+        for(const error of errors) {
+            const api = fakeApi([error])
+            const session = startSession(api)
+            let rejected = null
+            session.on('rejected', err => { rejected = err })
+            await assert.rejects(session.wait({ timeout: 1000 }), err => err === error)
+            assert.equal(rejected, error)
+            assert.equal(session.state, 'rejected')
+            assert.equal(api.calls, 1)
+        }
+    })
+})
@@ -0,0 +1,88 @@
+import assert from 'assert'
+import { Crypto } from '../src/utils/Crypto'
+import { DecryptionError, ValidationError } from '../src/errors'
+
+const rejectsWith = async (promise, ErrorClass) => {
+    try {
+        await promise
+    }catch(err){
+        assert.ok(err instanceof ErrorClass, `expected a ${ErrorClass.name}, got ${err.name}: ${err.message}`)
+        return err
+    }
+    assert.fail(`expected a ${ErrorClass.name}`)
+}
+
+describe('Crypto envelopes', () => {
+
+    const key = Crypto.randomBytes(32).toString('hex')
+    const content = JSON.stringify({ data: 'Jane Doe', salt: 'abc' })
+
+    it('decrypts what it encrypts', async () => {
+        const envelope = await Crypto.encrypt(key, content)
+        assert.equal(envelope.v, 2)
+        assert.equal(envelope.alg, 'aes-256-gcm')
+        assert.equal(await Crypto.decrypt(key, envelope), content)
+    })
+
+    it('uses a fresh salt and iv for every envelope', async () => {
+        const first = await Crypto.encrypt(key, content)
+        const second = await Crypto.encrypt(key, content)
+        assert.notEqual(first.salt, second.salt)
+        assert.notEqual(first.iv, second.iv)
+        assert.notEqual(first.ciphertext, second.ciphertext)
+    })
+
+    it('rejects a wrong key', async () => {
+        const envelope = await Crypto.encrypt(key, content)
+        await rejectsWith(Crypto.decrypt(Crypto.randomBytes(32).toString('hex'), envelope), DecryptionError)
+    })
+
+    it('rejects a tampered ciphertext', async () => {
+        const envelope = await Crypto.encrypt(key, content)
+        const flipped = (parseInt(envelope.ciphertext[0], 16) ^ 1).toString(16)
+        await rejectsWith(Crypto.decrypt(key, Object.assign({}, envelope, { ciphertext: flipped + envelope.ciphertext.slice(1) })), DecryptionError)
+    })
+
+    it('rejects a tampered tag, iv or salt', async () => {
+        const envelope = await Crypto.encrypt(key, content)
+        const other = Crypto.randomBytes(16).toString('hex')
+        await rejectsWith(Crypto.decrypt(key, Object.assign({}, envelope, { tag: other })), DecryptionError)
+        await rejectsWith(Crypto.decrypt(key, Object.assign({}, envelope, { iv: other.slice(0, 24) })), DecryptionError)
+        await rejectsWith(Crypto.decrypt(key, Object.assign({}, envelope, { salt: other })), DecryptionError)
+    })
+
+    it('rejects an unsupported header', async () => {
+        const envelope = await Crypto.encrypt(key, content)
+        await rejectsWith(Crypto.decrypt(key, Object.assign({}, envelope, { v: 1 })), DecryptionError)
+        await rejectsWith(Crypto.decrypt(key, Object.assign({}, envelope, { alg: 'aes-128-ctr' })), DecryptionError)
+    })
+
+    it('opens an envelope keyed with the owner public key using the private key', async () => {
+        const owner = Crypto.createPublicPrivatePair()
+        const envelope = await Crypto.encrypt(owner.publicKey, content)
+        assert.equal(await Crypto.openData(owner.privateKey, envelope), content)
+        await rejectsWith(Crypto.openData(Crypto.createPublicPrivatePair().privateKey, envelope), DecryptionError)
+    })
+})
+
+describe('Crypto sealed data', () => {
+
+    const content = 'Jane Doe'
+    const owner = Crypto.createPublicPrivatePair()
+    const reader = Crypto.createPublicPrivatePair()
+
+    it('requires an owner public key', async () => {
+        await rejectsWith(Crypto.sealData(content, [null]), ValidationError)
+        await rejectsWith(Crypto.sealData(content, []), ValidationError)
+    })
+
+    it('matches recipients whatever the public key format', async () => {
+        const sealed = await Crypto.sealData(content, [`0x04${owner.publicKey}`])
+        assert.deepEqual(Crypto.getRecipients(sealed), [owner.publicKey])
+        const granted = await Crypto.grantRecipient(owner.privateKey, sealed, `04${reader.publicKey}`)
+        assert.equal(await Crypto.openData(reader.privateKey, granted), content)
+        const revoked = await Crypto.revokeRecipient(owner.privateKey, granted, `0x${reader.publicKey}`)
+        assert.deepEqual(Crypto.getRecipients(revoked), [owner.publicKey])
+        await rejectsWith(Crypto.openData(reader.privateKey, revoked), DecryptionError)
+    })
+})
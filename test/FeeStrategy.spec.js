@@ -0,0 +1,54 @@
+import assert from 'assert'
+import { default as Web3 } from 'web3'
+import { resolveOptions, DEFAULT_GAS_MARGIN } from '../src/config/options'
+import { FeeStrategy, NodeFeeStrategy, FixedFeeStrategy, Eip1559FeeStrategy } from '../src/fees'
+import { Web3Service } from '../src/Web3Service'
+import { ValidationError } from '../src/errors'
+
+const PROVIDER = 'http://127.0.0.1:1'
+
+const PRIVATE_KEY = `0x${'11'.repeat(32)}`
+
+const fakeWeb3 = baseFeePerGas => ({
+    utils: new Web3(PROVIDER).utils,
+    eth: { getBlock: async () => ({ baseFeePerGas }), getGasPrice: async () => '7' }
+})
+
+class StaticFeeStrategy extends FeeStrategy {
+    async getFees(web3) { return { maxFeePerGas: '3000000000', maxPriorityFeePerGas: '1500000000' } }
+}
+
+const method = { encodeABI: () => '0x', estimateGas: async () => 100000 }
+
+describe('Fee strategies', () => {
+
+    it('default to the node\'s gas price, or a fixed one when gasPrice is set', () => {
+        const options = resolveOptions({ provider: PROVIDER })
+        assert.ok(options.feeStrategy instanceof NodeFeeStrategy)
+        assert.equal(options.gasMargin, DEFAULT_GAS_MARGIN)
+        const fixed = resolveOptions({ provider: PROVIDER, gasPrice: '1000000000' })
+        assert.ok(fixed.feeStrategy instanceof FixedFeeStrategy)
+        assert.equal(fixed.gasPrice, '1000000000')
+        assert.ok(resolveOptions({ provider: PROVIDER, feeStrategy: 'eip1559' }).feeStrategy instanceof Eip1559FeeStrategy)
+        assert.throws(() => resolveOptions({ provider: PROVIDER, feeStrategy: 'fixed' }), ValidationError)
+    })
+
+    it('pay a priority fee on top of the base fee, or the node\'s price without one', async () => {
+        const strategy = new Eip1559FeeStrategy({ maxPriorityFeePerGas: '2', baseFeeMultiplier: 2 })
+        assert.deepEqual(await strategy.getFees(fakeWeb3('10')), { maxFeePerGas: '22', maxPriorityFeePerGas: '2' })
+        assert.deepEqual(await strategy.getFees(fakeWeb3(undefined)), { gasPrice: '7' })
+    })
+
+    it('prepare and sign type 2 transactions offline with EIP-1559 fees', async () => {
+        const web3Service = new Web3Service(PROVIDER, { chainId: 5, feeStrategy: new StaticFeeStrategy() })
+        const from = web3Service.privateKeyToAccount(PRIVATE_KEY).address
+        const transaction = await web3Service.prepareTransaction(method, { to: `0x${'22'.repeat(20)}`, from, nonce: 0 })
+        assert.equal(transaction.maxFeePerGas, '3000000000')
+        assert.equal(transaction.gasPrice, undefined)
+        assert.equal(web3Service.getCost(transaction).fee, String(120000 * 3000000000))
+        assert.equal((await web3Service.signTransaction(transaction, PRIVATE_KEY)).rawTransaction.slice(0, 4), '0x02')
+        const legacy = await web3Service.prepareTransaction(method, { to: `0x${'22'.repeat(20)}`, from, nonce: 0, gasPrice: '1000000000' })
+        assert.equal(legacy.maxFeePerGas, undefined)
+        assert.notEqual((await web3Service.signTransaction(legacy, PRIVATE_KEY)).rawTransaction.slice(0, 4), '0x02')
+    })
+})
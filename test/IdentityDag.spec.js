@@ -0,0 +1,62 @@
+import assert from 'assert'
+import { IdentityDag } from '../src/IdentityDag'
+import { Crypto } from '../src/utils/Crypto'
+import { ValidationError } from '../src/errors'
+
+const buildTree = () => {
+    const tree = IdentityDag.initTree()
+    IdentityDag.insertNode(tree, 'root', 'bank1', null, null)
+    IdentityDag.insertNode(tree, 'root', 'bank2', null, null)
+    IdentityDag.insertNode(tree, 'root/bank1', 'account', 'hash1', 'a1')
+    IdentityDag.insertNode(tree, 'root/bank2', 'account', 'hash2', 'a2')
+    IdentityDag.insertNode(tree, 'root/bank2', 'agency', 'hash3', 'g2')
+    return tree
+}
+
+describe('IdentityDag addressing', () => {
+
+    it('finds a unique label and any path', () => {
+        const tree = buildTree()
+        assert.equal(IdentityDag.dfs(tree, 'agency').hash, 'g2')
+        assert.equal(IdentityDag.dfs(tree, 'root/bank2/account').hash, 'a2')
+        assert.equal(IdentityDag.dfs(tree, 'missing'), null)
+    })
+
+    it('rejects an ambiguous label instead of taking the first match', () => {
+        const tree = buildTree()
+        assert.throws(() => IdentityDag.dfs(tree, 'account'), ValidationError)
+        assert.throws(() => IdentityDag.generateProof(tree, 'account'), ValidationError)
+    })
+
+    it('proves the node a path names', () => {
+        const tree = buildTree()
+        const proof = IdentityDag.generateProof(tree, 'root/bank2/account')
+        assert.equal(proof.leafHash, 'a2')
+        assert.ok(IdentityDag.verifyLeafHash(proof, 'a2', tree.hash))
+        assert.equal(IdentityDag.generateProof(tree, 'missing'), null)
+    })
+
+    it('rejects a malformed proof instead of throwing', () => {
+        const tree = buildTree()
+        const proof = IdentityDag.generateProof(tree, 'root/bank2/account')
+        const malformed = [null, {}, { path: 'steps' }, { path: [null] }, { path: [{ left: 'a1', right: [] }] }, 
+            Object.assign({}, proof, { path: proof.path.map(step => ({ left: step.left })) })]
+        malformed.forEach(bad => {
+            assert.equal(IdentityDag.verifyLeafHash(bad, 'a2', tree.hash), false)
+            assert.equal(IdentityDag.verifyProof(bad, 'data', 'salt', tree.hash), false)
+        })
+    })
+
+    it('rejects a leaf\'s proof presented under another label', () => {
+        const tree = IdentityDag.initTree()
+        IdentityDag.insertNode(tree, 'root', 'contact', null, null)
+        IdentityDag.insertNode(tree, 'root/contact', 'email', 'e1', Crypto.sha3_256('a@b.com' + 's1'))
+        IdentityDag.insertNode(tree, 'root/contact', 'phone', 'p1', Crypto.sha3_256('555' + 's2'))
+        const proof = IdentityDag.generateProof(tree, 'root/contact/email')
+        assert.ok(IdentityDag.verifyNodeProof(tree, 'root/contact/email', proof, 'a@b.com', 's1'))
+        assert.ok(IdentityDag.verifyNodeProof(tree, 'email', proof, 'a@b.com', 's1'))
+        assert.equal(IdentityDag.verifyNodeProof(tree, 'phone', proof, 'a@b.com', 's1'), false)
+        assert.equal(IdentityDag.verifyNodeProof(tree, 'root/contact/phone', proof, 'a@b.com', 's1'), false)
+        assert.equal(IdentityDag.verifyNodeProof(tree, 'missing', proof, 'a@b.com', 's1'), false)
+    })
+})
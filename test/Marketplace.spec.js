@@ -0,0 +1,35 @@
+import assert from 'assert'
+import { PurchaseRequest } from '../src/marketplace/PurchaseRequest'
+import { MemoryStorage } from '../src/storage/MemoryStorage'
+import { IpfsService } from '../src/IpfsService'
+import { ValidationError } from '../src/errors'
+
+const buyer = '0x00000000000000000000000000000000000000BB'
+
+describe('Marketplace', () => {
+
+    it('keeps the seller\'s answer out of the message the buyer signs', () => {
+        const request = PurchaseRequest.create({ listingId: 'QmListing', buyer, buyerPublicKey: 'key', labels: ['email'], price: 5 })
+        const signed = Object.assign({}, request, { signature: '0x1' })
+        assert.equal(PurchaseRequest.signingMessage(Object.assign({}, signed, { offerHash: 'QmOffer' })), PurchaseRequest.signingMessage(request))
+        assert.notEqual(PurchaseRequest.signingMessage(Object.assign({}, signed, { price: 1 })), PurchaseRequest.signingMessage(request))
+        PurchaseRequest.assertRequest(signed)
+        assert.throws(() => PurchaseRequest.assertRequest(request), ValidationError)
+    })
+
+    it('keeps an index entry per listing and a request per buyer', async () => {
+        const ipfsService = new IpfsService(new MemoryStorage())
+        assert.deepEqual(await ipfsService.getListingIds(), [])
+        await Promise.all([ipfsService.setListing('QmFirst', { identity: '0x1' }), ipfsService.setListing('QmSecond', { identity: '0x2' })])
+        assert.deepEqual((await ipfsService.getListingIds()).sort(), ['QmFirst', 'QmSecond'])
+        await ipfsService.removeListing('QmFirst')
+        await ipfsService.removeListing('QmFirst')
+        assert.deepEqual(await ipfsService.getListingIds(), ['QmSecond'])
+
+        await ipfsService.setPurchaseRequest('QmSecond', { buyer, labels: ['email'] })
+        await ipfsService.setPurchaseRequest('QmSecond', { buyer: '0x00000000000000000000000000000000000000cc', labels: ['income'] })
+        assert.equal((await ipfsService.getPurchaseRequests('QmSecond')).length, 2)
+        assert.deepEqual((await ipfsService.getPurchaseRequest('QmSecond', buyer)).labels, ['email'])
+        assert.equal(await ipfsService.getPurchaseRequest('QmFirst', buyer), null)
+    })
+})
@@ -0,0 +1,26 @@
+import assert from 'assert'
+import { MemoryNonceStore } from '../src/nonces'
+import { resolveOptions } from '../src/config/options'
+import { ValidationError } from '../src/errors'
+
+const PROVIDER = 'http://localhost:8545'
+
+describe('Nonce stores', () => {
+
+    it('accept a nonce once until its challenge expires', async () => {
+        const store = new MemoryNonceStore()
+        assert.equal(await store.has('nonce'), false)
+        assert.equal(await store.use('nonce', Date.now() + 60000), true)
+        assert.equal(await store.has('nonce'), true)
+        assert.equal(await store.use('nonce', Date.now() + 60000), false)
+        await store.use('expired', Date.now() - 1)
+        assert.equal(await store.has('expired'), false)
+    })
+
+    it('are shared by the Api options they are given to', () => {
+        const nonceStore = new MemoryNonceStore()
+        assert.equal(resolveOptions({ provider: PROVIDER, nonceStore }).nonceStore, nonceStore)
+        assert.ok(resolveOptions({ provider: PROVIDER }).nonceStore instanceof MemoryNonceStore)
+        assert.throws(() => resolveOptions({ provider: PROVIDER, nonceStore: { has: async () => false } }), ValidationError)
+    })
+})
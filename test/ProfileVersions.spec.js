@@ -0,0 +1,26 @@
+import assert from 'assert'
+import { MemoryStorage } from '../src/storage/MemoryStorage'
+import { IpfsService } from '../src/IpfsService'
+
+describe('Profile versions', () => {
+
+    it('anchor two edits made in a row on top of the anchored version', async () => {
+        const ipfsService = new IpfsService(new MemoryStorage())
+        const anchored = await ipfsService.initTree([{ parentLabel: 'root', label: 'contact' }])
+        const inserted = await ipfsService.insertNodes(anchored, [{ parentLabel: 'root', label: 'bank' }], null)
+        const removed = await ipfsService.removeNode(inserted, 'contact')
+        assert.deepEqual(await ipfsService.findProfileBase(removed, anchored), { derived: true, baseHash: anchored })
+        const next = await ipfsService.insertNodes(removed, [{ parentLabel: 'root', label: 'work' }], null)
+        assert.deepEqual(await ipfsService.findProfileBase(next, removed), { derived: true, baseHash: removed })
+        assert.equal((await ipfsService.findProfileBase(next, anchored)).derived, true)
+    })
+
+    it('report the latest common version of edits derived from a stale one', async () => {
+        const ipfsService = new IpfsService(new MemoryStorage())
+        const anchored = await ipfsService.initTree([{ parentLabel: 'root', label: 'contact' }])
+        const theirs = await ipfsService.insertNodes(anchored, [{ parentLabel: 'root', label: 'bank' }], null)
+        const draft = await ipfsService.insertNodes(anchored, [{ parentLabel: 'root', label: 'work' }], null)
+        const ours = await ipfsService.removeNode(draft, 'contact')
+        assert.deepEqual(await ipfsService.findProfileBase(ours, theirs), { derived: false, baseHash: anchored })
+    })
+})
@@ -0,0 +1,54 @@
+import assert from 'assert'
+import { RevocationList } from '../src/attestations/RevocationList'
+import { Attestation } from '../src/attestations/Attestation'
+import { MemoryStorage } from '../src/storage/MemoryStorage'
+import { IpfsService } from '../src/IpfsService'
+import { StorageError, ValidationError } from '../src/errors'
+
+const attestor = '0x00000000000000000000000000000000000000aa'
+
+describe('RevocationList', () => {
+
+    it('raises the sequence with every revocation', () => {
+        const first = RevocationList.revoke(RevocationList.create(attestor), 'QmFirst')
+        const second = RevocationList.revoke(Object.assign({}, first, { signature: '0x1' }), 'QmSecond', 'document expired')
+        assert.equal(RevocationList.sequence(RevocationList.create(attestor)), 0)
+        assert.equal(first.sequence, 1)
+        assert.equal(second.sequence, 2)
+        assert.equal(second.signature, undefined)
+        assert.equal(RevocationList.find(second, 'QmSecond').reason, 'document expired')
+    })
+
+    it('counts lists without a sequence as 0 and rejects malformed sequences', () => {
+        const legacy = { type: 'SwapyAttestationRevocationList', attestor, revoked: [], signature: '0x1' }
+        RevocationList.assertList(legacy)
+        assert.equal(RevocationList.sequence(legacy), 0)
+        assert.throws(() => RevocationList.assertList(Object.assign({}, legacy, { sequence: -1 })), ValidationError)
+    })
+
+    it('is read back through the name it was published under', async () => {
+        const ipfsService = new IpfsService(new MemoryStorage())
+        const list = Object.assign(RevocationList.revoke(RevocationList.create(attestor), 'QmFirst'), { signature: '0x1' })
+        const { ipfsHash, name } = await ipfsService.publishRevocationList(attestor, list, 'attestor-key')
+        assert.equal(name, 'attestor-key')
+        assert.deepEqual(await ipfsService.resolveRevocationList(name), list)
+        assert.deepEqual(await ipfsService.getObject(ipfsHash), list)
+        try {
+            await ipfsService.resolveRevocationList('unknown-key')
+            assert.fail('expected a StorageError')
+        }catch(err){
+            assert.ok(err instanceof StorageError)
+        }
+    })
+
+    it('finds an attestation revoked by its IPFS hash from its content alone', async () => {
+        const ipfsService = new IpfsService(new MemoryStorage())
+        const unsigned = Attestation.create({ identity: attestor, path: 'root/contact/email', nodeHash: 'hash', attestor, revocations: 'name' })
+        const attestation = Object.assign({}, unsigned, { signature: '0x1' })
+        const id = await ipfsService.saveObject(attestation)
+        const read = Object.assign({ id }, await ipfsService.getObject(id))
+        delete read.id
+        assert.equal(await ipfsService.getObjectHash(read), id)
+        assert.ok(RevocationList.find(RevocationList.revoke(RevocationList.create(attestor), id), await ipfsService.getObjectHash(read)))
+    })
+})
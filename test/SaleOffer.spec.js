@@ -0,0 +1,32 @@
+import assert from 'assert'
+import { SaleOffer } from '../src/sales/SaleOffer'
+import { ValidationError } from '../src/errors'
+
+const params = {
+    identity: '0x00000000000000000000000000000000000000AA', buyer: '0x00000000000000000000000000000000000000bb', 
+    buyerPublicKey: 'buyer', price: 10, rootHash: 'root', nodes: [], keyHash: '0x1', sellerKey: {}, 
+    escrow: '0x00000000000000000000000000000000000000CC'
+}
+
+describe('SaleOffer', () => {
+
+    it('commits to the key with the keccak256 hash the escrow contract checks', () => {
+        const zeroKey = '00'.repeat(32)
+        assert.equal(SaleOffer.keyHash(zeroKey), '0x290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e563')
+        assert.notEqual(SaleOffer.keyHash(SaleOffer.createKey()), SaleOffer.keyHash(SaleOffer.createKey()))
+    })
+
+    it('derives the escrow id from the buyer and the key hash', () => {
+        const keyHash = SaleOffer.keyHash('00'.repeat(32))
+        const id = SaleOffer.escrowId(params.buyer, keyHash)
+        assert.ok(/^0x[0-9a-f]{64}$/.test(id))
+        assert.equal(SaleOffer.escrowId(params.buyer.toUpperCase().replace('0X', '0x'), keyHash), id)
+        assert.notEqual(SaleOffer.escrowId(params.identity, keyHash), id)
+    })
+
+    it('names the escrow contract the price is locked in', () => {
+        assert.equal(SaleOffer.create(params).escrow, params.escrow.toLowerCase())
+        assert.throws(() => SaleOffer.create(Object.assign({}, params, { escrow: null })), ValidationError)
+        assert.throws(() => SaleOffer.assertOffer(Object.assign(SaleOffer.create(params), { escrow: null, signature: '0x1' })), ValidationError)
+    })
+})
@@ -0,0 +1,21 @@
+import assert from 'assert'
+import { Signer } from '../src/signers/Signer'
+import { ProviderSigner } from '../src/signers/ProviderSigner'
+import { SignatureError } from '../src/errors'
+
+const rejectsWithSignatureError = promise => assert.rejects(promise, err => err instanceof SignatureError)
+
+describe('Signers', () => {
+
+    it('reject with a SignatureError when a method isn\'t implemented', async () => {
+        const signer = new Signer()
+        await rejectsWithSignatureError(signer.getAddress())
+        await rejectsWithSignatureError(signer.signMessage('message'))
+        await rejectsWithSignatureError(signer.signTransaction({}))
+    })
+
+    it('reject with a SignatureError when the provider has no accounts or fails', async () => {
+        await rejectsWithSignatureError(new ProviderSigner({ eth: { getAccounts: async () => [] } }).getAddress())
+        await rejectsWithSignatureError(new ProviderSigner({ eth: { getAccounts: async () => { throw new Error('connection refused') } } }).getAddress())
+    })
+})
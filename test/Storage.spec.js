@@ -0,0 +1,68 @@
+import assert from 'assert'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { MemoryStorage } from '../src/storage/MemoryStorage'
+import { FileSystemStorage } from '../src/storage/FileSystemStorage'
+import { IpfsService } from '../src/IpfsService'
+import { resolveOptions } from '../src/config/options'
+import { StorageError, ValidationError } from '../src/errors'
+
+const PROVIDER = 'http://localhost:8545'
+
+describe('Storage adapters', () => {
+
+    let directory
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swapy-storage-'))
+    })
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true })
+    })
+
+    it('give objects the multihash an IPFS node would', async () => {
+        const buffer = Buffer.from('hello world')
+        const memoryHash = await new MemoryStorage().add(buffer)
+        const fileSystem = new FileSystemStorage(directory)
+        assert.equal(memoryHash, 'Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD')
+        assert.equal(await fileSystem.add(buffer), memoryHash)
+        assert.equal((await fileSystem.get(memoryHash)).toString(), 'hello world')
+    })
+
+    it('keep mutable files on both adapters', async () => {
+        const adapters = [new MemoryStorage(), new FileSystemStorage(directory)]
+        for(const storage of adapters) {
+            await storage.mkdir('/profiles/identity')
+            await storage.write('/profiles/identity/data.json', Buffer.from('{}'))
+            assert.equal((await storage.read('/profiles/identity/data.json')).toString(), '{}')
+            assert.deepEqual(await storage.ls('/profiles/identity'), ['data.json'])
+            await storage.rm('/profiles')
+            await assert.rejects(storage.read('/profiles/identity/data.json'))
+        }
+    })
+
+    it('reject a call to an optional method the adapter leaves out', async () => {
+        const storage = new MemoryStorage()
+        storage.resolveName = undefined
+        await assert.rejects(new IpfsService(storage).resolveRevocationList('attestor'), err => err instanceof StorageError)
+    })
+})
+
+describe('Api options', () => {
+
+    it('reject storage adapters missing a method or with an optional one that isn\'t a function', () => {
+        const storage = new MemoryStorage()
+        assert.equal(resolveOptions({ provider: PROVIDER, storage }).storage, storage)
+        assert.throws(() => resolveOptions({ provider: PROVIDER, storage: { add: () => null } }), ValidationError)
+        assert.throws(() => resolveOptions({ provider: PROVIDER, storage: Object.assign(new MemoryStorage(), { ls: 'ls' }) }), ValidationError)
+    })
+
+    it('reject a missing provider, unknown networks and malformed addresses', () => {
+        assert.throws(() => resolveOptions({}), ValidationError)
+        assert.throws(() => resolveOptions({ provider: PROVIDER, network: 'unknown' }), ValidationError)
+        assert.throws(() => resolveOptions({ provider: PROVIDER, addresses: { protocol: '0x1', token: '0x2' } }), ValidationError)
+        assert.throws(() => resolveOptions({ provider: PROVIDER, gasMargin: 0.5 }), ValidationError)
+    })
+})